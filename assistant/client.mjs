@@ -0,0 +1,68 @@
+import { parse_command, validate_command } from './commands.mjs';
+
+// Browser side of EVA: keeps the conversation and asks the assistant server
+// (scripts/eva_server.mjs) instead of calling a model API from the page.
+export class AssistantClient {
+  // get_context: returns the current simulation_context(), or null.
+  constructor({ endpoint = '/api/eva', get_context = () => null, fetch = globalThis.fetch.bind(globalThis) } = {}) {
+    this.endpoint = endpoint;
+    this.get_context = get_context;
+    this.fetch = fetch;
+    this.messages = [];
+    this.info = null;
+  }
+
+  // Sends text with the history and the live context; resolves to EVA's
+  // reply. A failed request leaves the history as it was.
+  async ask(text) {
+    const messages = [...this.messages, { role: 'user', text }];
+    const response = await this.fetch(this.endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ messages, context: this.get_context() })
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(`Assistant error: ${response.status}${data.error ? ` - ${data.error}` : ''}`);
+    this.messages = [...messages, { role: 'model', text: data.reply }];
+    return data.reply;
+  }
+
+  // The command in text, validated: by rule first, then by the server's
+  // model when it has one that parses commands. Null means plain chat; a
+  // command that cannot be carried out throws with a message to say.
+  async command(text) {
+    const parsed = parse_command(text);
+    if (parsed) return validate_command(parsed);
+    if (!(await this.server_info())?.commands) return null;
+    const response = await this.fetch(`${this.endpoint}/command`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text })
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.error || `Assistant error: ${response.status}`);
+    return data.command ? validate_command(data.command) : null;
+  }
+
+  // { provider, commands } from the server, or null when it cannot be
+  // reached; remembered once it answers.
+  async server_info() {
+    if (this.info) return this.info;
+    try {
+      const response = await this.fetch(this.endpoint);
+      if (response.ok) this.info = await response.json();
+    } catch {
+      // No server: rules only.
+    }
+    return this.info;
+  }
+
+  // Which provider the server runs, or null when it cannot be reached.
+  async provider() {
+    return (await this.server_info())?.provider ?? null;
+  }
+
+  reset() {
+    this.messages = [];
+  }
+}
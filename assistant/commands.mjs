@@ -0,0 +1,201 @@
+import { STRATEGIES, TARGETING_LABELS } from '../sim/index.mjs';
+
+// Simulation commands EVA can carry out. A command is a plain object:
+//   { action: 'start' | 'pause' | 'resume' | 'reset' }
+//   { action: 'step', count }
+//   { action: 'set', parameter, value }      omega, phi_p, phi_g, strategy or targeting
+//   { action: 'ignite', x, y }
+//   { action: 'deploy', count }
+//   { action: 'query', topic }               containment or status
+// parse_command() recognises them from typed or spoken text by rule, with no
+// model; a model's attempt goes through validate_command() the same way.
+
+// Slider ranges of the parameter panels.
+export const PARAMETER_RANGES = {
+  omega: [0.1, 1.0],
+  phi_p: [0.5, 3.0],
+  phi_g: [0.5, 3.0]
+};
+
+export const PARAMETER_LABELS = {
+  omega: 'Inertia ω',
+  phi_p: 'Personal φₚ',
+  phi_g: 'Global φᵍ',
+  strategy: 'Strategy',
+  targeting: 'Targeting'
+};
+
+const MAX_DRONES = 300;
+const MAX_STEPS = 1000;
+
+// Spoken and written names; "global best" is tried before "global".
+const PARAMETER_NAMES = [
+  ['personal best', 'phi_p'],
+  ['global best', 'phi_g'],
+  ['cognitive', 'phi_p'],
+  ['personal', 'phi_p'],
+  ['inertia', 'omega'],
+  ['social', 'phi_g'],
+  ['global', 'phi_g'],
+  ['omega', 'omega'],
+  ['phi p', 'phi_p'],
+  ['phi g', 'phi_g'],
+  ['phi_p', 'phi_p'],
+  ['phi_g', 'phi_g'],
+  ['φₚ', 'phi_p'],
+  ['φᵍ', 'phi_g'],
+  ['ω', 'omega']
+];
+
+const NUMBER = String.raw`(-?\d*\.?\d+)`;
+// What may follow a start, pause, resume or reset word: "start the simulation now".
+const RUN_CONTROL_END = String.raw`(?: (?:the )?(?:simulation|sim|run|it))?(?: now| again)?[.!]*$`;
+
+function normalize(text) {
+  return text
+    .toLowerCase()
+    .replace(/\b(?:hey |ok |okay )?eva\b[,:]?/g, ' ')
+    .replace(/\bplease\b/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function parse_set(text) {
+  for (const [name, parameter] of PARAMETER_NAMES) {
+    const at = text.indexOf(name);
+    if (at < 0) continue;
+    const match = text.slice(at + name.length).match(new RegExp(String.raw`^\s*(?:to|=|at|of)?\s*${NUMBER}`));
+    if (match) return { action: 'set', parameter, value: Number(match[1]) };
+  }
+  const named = text.match(/\b(strategy|targeting)\s*(?:to|=)?\s*([a-z]+)/);
+  if (named) return { action: 'set', parameter: named[1], value: named[2] };
+  const switched = text.match(/\b(?:switch|change|go) to (?:the )?([a-z]+) (strategy|targeting)\b/);
+  if (switched) return { action: 'set', parameter: switched[2], value: switched[1] };
+  return null;
+}
+
+// The command in text, or null when it is not one (EVA then just chats).
+// The result has not been range-checked; see validate_command.
+export function parse_command(input) {
+  const text = normalize(input);
+  if (!text) return null;
+
+  if (/\bcontain/.test(text) && /\b(what|how|is|percent|percentage|status)\b|\?/.test(text)) return { action: 'query', topic: 'containment' };
+  if (/^(status|report)\b|\bhow are (we|things|the drones) doing\b|\bwhat'?s happening\b/.test(text)) return { action: 'query', topic: 'status' };
+  // Any other question is for the chat.
+  if (/\?$|^(what|why|how|who|when|where|which|can|could|should|is|are|do|does)\b/.test(text)) return null;
+  // Asking to fight a fire is for the chat; it must never light one.
+  if (/\bfires?\b/.test(text) && /\b(extinguish|put out|stop|fight|douse|suppress)\b/.test(text)) return null;
+
+  const ignite = text.match(new RegExp(String.raw`\b(?:ignite|light|start (?:a )?fire|set (?:a )?fire)\b.*?${NUMBER}\s*(?:,|and|\s)\s*${NUMBER}`));
+  if (ignite) return { action: 'ignite', x: Number(ignite[1]), y: Number(ignite[2]) };
+
+  const deploy = text.match(/\b(?:deploy|send|launch|fly)\s+(\d+)\s+(?:more\s+)?drones?\b/);
+  if (deploy) return { action: 'deploy', count: Number(deploy[1]) };
+
+  if (/\b(set|change|make|put|raise|lower|increase|decrease)\b|=|\b(strategy|targeting)\b/.test(text) || PARAMETER_NAMES.some(([name]) => text.startsWith(name))) {
+    const set = parse_set(text);
+    if (set) return set;
+  }
+
+  const step = text.match(/^(?:step|advance|next step)(?:\s+(\d+)(?:\s+(?:steps|times))?)?\b/);
+  if (step) return { action: 'step', count: step[1] ? Number(step[1]) : 1 };
+  // "run 10 steps" runs that many, not on without end.
+  const run = text.match(/^(?:run|go|play|continue|keep going)(?: for)? (\d+)(?: more)? steps?\b/);
+  if (run) return { action: 'step', count: Number(run[1]) };
+  // These are the whole utterance, so "start 5 fires" is not a start.
+  if (new RegExp(`^(?:reset|restart|start over|new (?:run|fire|map))${RUN_CONTROL_END}`).test(text)) return { action: 'reset' };
+  if (new RegExp(`^(?:pause|stop|hold|freeze|halt|wait)${RUN_CONTROL_END}`).test(text)) return { action: 'pause' };
+  if (new RegExp(`^(?:resume|continue|unpause|carry on|keep going)${RUN_CONTROL_END}`).test(text)) return { action: 'resume' };
+  if (new RegExp(`^(?:start|begin|go|run|play)${RUN_CONTROL_END}`).test(text)) return { action: 'start' };
+  return null;
+}
+
+// Checks a command (a parse, or a model's JSON) and returns a clean copy;
+// throws with a message EVA can say when it is out of range.
+export function validate_command(command) {
+  if (!command || typeof command !== 'object') throw new Error('That is not a command');
+  const { action } = command;
+  switch (action) {
+    case 'start':
+    case 'pause':
+    case 'resume':
+    case 'reset':
+      return { action };
+    case 'step': {
+      const count = command.count ?? 1;
+      if (!Number.isInteger(count) || count < 1 || count > MAX_STEPS) throw new Error(`I can step between 1 and ${MAX_STEPS} steps at a time`);
+      return { action, count };
+    }
+    case 'set': {
+      const { parameter, value } = command;
+      if (parameter === 'strategy' || parameter === 'targeting') {
+        const names = Object.keys(parameter === 'strategy' ? STRATEGIES : TARGETING_LABELS);
+        if (!names.includes(value)) throw new Error(`The ${parameter} can be ${names.join(', ')}`);
+        return { action, parameter, value };
+      }
+      const range = PARAMETER_RANGES[parameter];
+      if (!range) throw new Error(`I can't set ${parameter}`);
+      if (typeof value !== 'number' || !(value >= range[0] && value <= range[1])) {
+        throw new Error(`${PARAMETER_LABELS[parameter]} has to be between ${range[0]} and ${range[1]}`);
+      }
+      return { action, parameter, value };
+    }
+    case 'ignite': {
+      const { x, y } = command;
+      if (!Number.isInteger(x) || !Number.isInteger(y) || x < 0 || y < 0) throw new Error('Ignition needs a whole-number cell like 12, 8');
+      return { action, x, y };
+    }
+    case 'deploy': {
+      const { count } = command;
+      if (!Number.isInteger(count) || count < 1 || count > MAX_DRONES) throw new Error(`I can deploy between 1 and ${MAX_DRONES} drones`);
+      return { action, count };
+    }
+    case 'query':
+      if (command.topic !== 'containment' && command.topic !== 'status') throw new Error('I can report containment or status');
+      return { action, topic: command.topic };
+    default:
+      throw new Error(`Unknown command: ${action}`);
+  }
+}
+
+// Instructions for a model parsing what the rules could not.
+export const COMMAND_PROMPT = `You turn a user's request to a wildfire drone simulation into one JSON command, or null when it is not a command (for example a question about how swarms work).
+Reply with the JSON only, no prose or code fences. The commands are:
+{"action":"start"} {"action":"pause"} {"action":"resume"} {"action":"reset"}
+{"action":"step","count":N}
+{"action":"set","parameter":"omega"|"phi_p"|"phi_g","value":number}  (omega is inertia 0.1-1, phi_p personal 0.5-3, phi_g global 0.5-3)
+{"action":"set","parameter":"strategy","value":${Object.keys(STRATEGIES).map(name => `"${name}"`).join('|')}}
+{"action":"set","parameter":"targeting","value":${Object.keys(TARGETING_LABELS).map(name => `"${name}"`).join('|')}}
+{"action":"ignite","x":column,"y":row}
+{"action":"deploy","count":number of drones}
+{"action":"query","topic":"containment"|"status"}`;
+
+// Reads a model's reply to COMMAND_PROMPT: a validated command or null. A
+// reply that is not a JSON object (the model answered in prose) is no
+// command, so the text goes on to the chat.
+export function command_from_reply(reply) {
+  const json = reply.trim().replace(/^```(?:json)?\s*|\s*```$/g, '');
+  let command;
+  try {
+    command = JSON.parse(json);
+  } catch {
+    return null;
+  }
+  return command && typeof command === 'object' && !Array.isArray(command) ? validate_command(command) : null;
+}
+
+// What EVA says for a query, from a simulation_context(). Containment is the
+// share of cells the fire has reached that are no longer burning.
+export function answer_query(topic, context) {
+  if (!context) return 'There is no simulation to report on.';
+  const touched = context.active_fires + context.trees_burnt + context.total_extinguished;
+  const saved = context.trees_saved + context.trees_burnt > 0 ? (context.trees_saved / (context.trees_saved + context.trees_burnt)) * 100 : 100;
+  if (topic === 'containment') {
+    if (context.active_fires === 0) return `The fire is fully contained, with ${saved.toFixed(0)} percent of the forest saved.`;
+    const contained = touched > 0 ? ((touched - context.active_fires) / touched) * 100 : 0;
+    return `The fire is ${contained.toFixed(0)} percent contained: ${context.active_fires} cells still burning and ${saved.toFixed(0)} percent of the forest saved.`;
+  }
+  const drones = context.drones ? `${context.drones.active} of ${context.drones.count} drones are on the fire` : `drones launch at step ${context.deploy_step}`;
+  return `Step ${context.step}: ${context.active_fires} cells burning, ${context.total_extinguished} put out, and ${drones}.`;
+}
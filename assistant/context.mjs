@@ -0,0 +1,105 @@
+// What EVA is told. The page gathers simulation_context() from its running
+// Simulation and sends it with each question; the server turns it into the
+// system prompt, so the model answers from the live run instead of guessing.
+
+export const EVA_SYSTEM_PROMPT = `You are EVA (Enhanced Vehicle Autonomy), a chill AI expert in swarm tech and drone coordination, built into a wildfire drone swarm simulation.
+
+Your expertise: swarm robotics, particle swarm optimisation (PSO), multi-agent systems, path planning, collision avoidance, flocking algorithms, sensor fusion, and autonomous navigation.
+
+How the simulation works: a grid of forest burns outward from a few ignitions, spreading with wind and uphill. After a deployment step a swarm of drones flies over it. Under PSO each drone is pulled by its own velocity (inertia ω), toward the best fire cell it has found (φₚ, personal) and toward the best cell any drone has found (φᵍ, global, or its ring neighbours' best under the ring strategy). Drones drop water on burning cells they reach, refill at water and fly home to recharge. A high φᵍ relative to φₚ and ω pulls the swarm onto one spot, which shows as low diversity.
+
+CRITICAL RULES:
+- Keep ALL responses to 2-3 sentences MAX
+- Be casual and conversational, like texting a knowledgeable friend
+- Get straight to the point - no fluff or lengthy explanations
+- Use simple language unless technical terms are necessary
+- If the topic needs more detail, ask if they want you to expand
+- Never write paragraphs or long lists
+- When asked about the simulation, answer from the current state below and quote its numbers; never invent numbers it does not give
+
+Example style: "Yeah, φᵍ is at 2.5 against φₚ 0.8, so every drone is chasing the same global best. Drop φᵍ or switch to the ring strategy and they'll spread over the other fire fronts."`;
+
+const round = (value, digits = 2) => (value === null || value === undefined ? null : Number(value.toFixed(digits)));
+
+// A plain, JSON-safe picture of a run for the assistant. sim is a Simulation
+// (or anything with the same fields); null when no run is on the page.
+export function simulation_context(sim) {
+  if (!sim) return null;
+  const summary = sim.summary();
+  const context = {
+    step: summary.steps,
+    elapsed_minutes: round(summary.elapsed_minutes, 1),
+    finished: sim.is_finished(),
+    strategy: summary.strategy,
+    targeting: summary.targeting,
+    adaptive: summary.adaptive,
+    omega: round(summary.omega),
+    phi_p: round(summary.phi_p),
+    phi_g: round(summary.phi_g),
+    fire_model: summary.fire_model,
+    wind: { direction: Math.round(sim.env.wind.direction), speed: round(sim.env.wind.current_speed(), 1) },
+    active_fires: summary.active_fires,
+    peak_fires: summary.peak_fires,
+    trees_saved: summary.trees_saved,
+    trees_burnt: summary.trees_burnt,
+    hectares_burnt: round(summary.hectares_burnt),
+    total_extinguished: summary.total_extinguished,
+    contained_at_step: summary.steps_to_containment,
+    // The next launch (a later wave or reinforcements once drones are out).
+    deploy_step: sim.deployments.length > 0 ? sim.deployments[0].step : sim.options.deploy_step,
+    drones_pending: sim.drones_pending(),
+    drones: null
+  };
+  const swarm = sim.swarm;
+  if (swarm) {
+    const status = swarm.fleet_status();
+    context.drones = {
+      count: swarm.num_drones,
+      diversity: round(sim.diversity ?? swarm.diversity(), 3),
+      active: status.active,
+      refilling: status.refilling,
+      returning: status.returning,
+      charging: status.charging,
+      down: status.down,
+      average_battery: round(status.battery),
+      global_best: swarm.gbest_position ? swarm.gbest_position.map(v => Math.round(v)) : null,
+      refill_trips: swarm.planner.refill_trips,
+      sensing: swarm.sensing_status()
+    };
+  }
+  return context;
+}
+
+// The context as short "key: value" lines for the system prompt.
+export function describe_context(context) {
+  if (!context) return 'No simulation is running on this page.';
+  const lines = [
+    `Step ${context.step} (${context.elapsed_minutes} min simulated)${context.finished ? ', fire contained' : ''}`,
+    `Strategy: ${context.strategy}, targeting: ${context.targeting}${context.adaptive ? `, auto-tuned by ${context.adaptive}` : ''}`,
+    `PSO parameters: ω ${context.omega}, φₚ ${context.phi_p}, φᵍ ${context.phi_g}`,
+    `Fire model: ${context.fire_model}, wind toward ${context.wind.direction}° at ${context.wind.speed}`,
+    `Active fires: ${context.active_fires} (peak ${context.peak_fires}), extinguished: ${context.total_extinguished}`,
+    `Trees saved: ${context.trees_saved}, burnt: ${context.trees_burnt} (${context.hectares_burnt} ha)`
+  ];
+  const drones = context.drones;
+  if (drones) {
+    lines.push(
+      `Drones: ${drones.count} (${drones.active} active, ${drones.refilling} refilling, ${drones.returning} returning, ${drones.charging} charging, ${drones.down} down), average battery ${Math.round(drones.average_battery * 100)}%`,
+      `Swarm diversity: ${drones.diversity} (mean distance from the swarm centre as a fraction of the map diagonal; below about 0.1 means bunched up)`,
+      `Global best cell: ${drones.global_best ? drones.global_best.join(', ') : 'none yet'}`
+    );
+    if (drones.sensing) {
+      lines.push(
+        `Limited sensing: the drones know of ${drones.sensing.known_fires} burning cells, have seen ${Math.round(drones.sensing.coverage * 100)}% of the map and form ${drones.sensing.groups} radio groups`
+      );
+    }
+    if (context.drones_pending > 0) lines.push(`${context.drones_pending} more drones to launch, the next at step ${context.deploy_step}`);
+  } else {
+    lines.push(`Drones not deployed yet; they launch at step ${context.deploy_step}`);
+  }
+  return lines.join('\n');
+}
+
+export function system_prompt(context) {
+  return `${EVA_SYSTEM_PROMPT}\n\nCurrent simulation state:\n${describe_context(context)}`;
+}
@@ -0,0 +1,91 @@
+import { COMMAND_PROMPT, command_from_reply } from './commands.mjs';
+
+// Model backends for EVA. A provider has a name and
+//   async reply({ system, messages, context }) -> string
+// where messages are [{ role: 'user' | 'model', text }] oldest first, ending
+// with the user's question, system is the full system prompt and context the
+// raw simulation_context() it was built from. A provider that can also turn
+// free text into a simulation command (see commands.mjs) has
+//   async parse_command(text) -> command | null
+// Only the server holds providers, so API keys never reach the page.
+
+// Offline stand-in: canned, rule-based answers built from the same context the
+// real model would get. Deterministic, so it suits tests and demos without a key.
+export class LocalProvider {
+  constructor() {
+    this.name = 'local';
+  }
+
+  async reply({ messages, context = null }) {
+    const question = (messages.at(-1)?.text || '').toLowerCase();
+    if (!context) {
+      return "There's no simulation running on this page, so I can only talk swarm theory. Start a run and ask me again!";
+    }
+    const drones = context.drones;
+    if (/cluster|bunch|clump|together|same (spot|place)/.test(question)) {
+      if (!drones) return `The drones aren't out yet; they deploy at step ${context.deploy_step}.`;
+      const pull = context.phi_g > context.phi_p
+        ? `φᵍ (${context.phi_g}) is above φₚ (${context.phi_p}), so they all chase the global best at ${drones.global_best?.join(', ') ?? 'one spot'}`
+        : `φₚ (${context.phi_p}) and φᵍ (${context.phi_g}) are balanced, so it's mostly the fire itself pulling them in`;
+      return `Diversity is ${drones.diversity}, ${drones.diversity < 0.1 ? "so yeah, they're pretty bunched" : 'so they are actually fairly spread'}. ${pull}. Lower φᵍ or try the ring strategy to spread them out.`;
+    }
+    if (/param|omega|ω|phi|φ|inertia|strategy/.test(question)) {
+      return `Running ${context.strategy} with ω ${context.omega}, φₚ ${context.phi_p} and φᵍ ${context.phi_g}${context.adaptive ? `, auto-tuned by ${context.adaptive}` : ''}. Higher ω keeps drones exploring, higher φᵍ makes them converge faster.`;
+    }
+    if (/water|refill|battery|charg/.test(question)) {
+      if (!drones) return `The drones aren't out yet; they deploy at step ${context.deploy_step}.`;
+      return `${drones.refilling} drones are refilling and ${drones.charging} charging, average battery ${Math.round(drones.average_battery * 100)}%. They've made ${drones.refill_trips} refill trips so far.`;
+    }
+    if (context.finished) {
+      return `Fire's out at step ${context.step}: ${context.trees_saved} trees saved, ${context.trees_burnt} burnt and ${context.total_extinguished} cells put out by the drones.`;
+    }
+    return `Step ${context.step}: ${context.active_fires} cells burning, ${context.total_extinguished} put out so far and ${context.trees_burnt} trees lost. ${drones ? `${drones.active} of ${drones.count} drones are on the fire.` : `Drones launch at step ${context.deploy_step}.`}`;
+  }
+}
+
+// Google's Gemini generateContent API.
+export class GeminiProvider {
+  constructor({ api_key, model = 'gemini-2.0-flash-exp', fetch = globalThis.fetch } = {}) {
+    if (!api_key) throw new Error('GeminiProvider needs an API key (set GEMINI_API_KEY)');
+    this.name = 'gemini';
+    this.api_key = api_key;
+    this.model = model;
+    this.fetch = fetch;
+  }
+
+  async reply({ system, messages }) {
+    return this.generate(system, messages);
+  }
+
+  async parse_command(text) {
+    return command_from_reply(await this.generate(COMMAND_PROMPT, [{ role: 'user', text }]));
+  }
+
+  async generate(system, messages) {
+    const url = `https://generativelanguage.googleapis.com/v1beta/models/${this.model}:generateContent`;
+    const response = await this.fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'x-goog-api-key': this.api_key },
+      body: JSON.stringify({
+        system_instruction: { parts: [{ text: system }] },
+        contents: messages.map(({ role, text }) => ({ role, parts: [{ text }] }))
+      })
+    });
+    if (!response.ok) throw new Error(`Gemini API error: ${response.status} - ${await response.text()}`);
+    const data = await response.json();
+    const text = data.candidates?.[0]?.content?.parts?.map(part => part.text || '').join('');
+    if (!text) throw new Error('Unexpected Gemini API response structure');
+    return text;
+  }
+}
+
+export const PROVIDERS = {
+  local: LocalProvider,
+  gemini: GeminiProvider
+};
+
+export function create_provider(name = 'local', options = {}) {
+  const Provider = PROVIDERS[name];
+  if (!Provider) throw new Error(`Unknown assistant provider: ${name}`);
+  return new Provider(options);
+}
@@ -0,0 +1,136 @@
+import { system_prompt } from './context.mjs';
+
+export const ASSISTANT_PATH = '/api/eva';
+export const COMMAND_PATH = '/api/eva/command';
+
+const MAX_BODY = 256 * 1024;
+const MAX_MESSAGES = 40;
+const MAX_TEXT = 4000;
+
+function send_json(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+// The request body as JSON. Past MAX_BODY it stops reading and rejects with
+// status 413; send_error then closes the connection on the unread rest.
+function read_json(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    const on_data = chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY) {
+        req.off('data', on_data);
+        req.pause();
+        reject(Object.assign(new Error('Request too large'), { status: 413 }));
+      }
+    };
+    req.on('data', on_data);
+    req.on('error', reject);
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(body));
+      } catch (err) {
+        reject(err);
+      }
+    });
+  });
+}
+
+// Answers a request that could not be read or was refused; the status comes
+// from the error, 400 when it has none.
+function send_error(req, res, err) {
+  const status = err.status || 400;
+  if (status === 413) {
+    res.setHeader('Connection', 'close');
+    res.on('finish', () => req.destroy());
+  }
+  send_json(res, status, { error: err.message });
+}
+
+// The assistant spends the provider's quota, so only the pages it serves may
+// POST to it: a request from another origin is refused, and a JSON body is
+// required so a browser preflights any cross-origin attempt (which this
+// server never approves). Requests without an Origin, such as curl, pass.
+function check_post(req, origins) {
+  const origin = req.headers.origin;
+  if (origin && origins && !origins.includes(origin)) throw Object.assign(new Error(`Origin ${origin} is not allowed`), { status: 403 });
+  const type = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  if (type !== 'application/json') throw Object.assign(new Error('Content-Type must be application/json'), { status: 415 });
+}
+
+// Checks a request body { messages, context } and returns it trimmed to the
+// last MAX_MESSAGES turns; throws on anything a provider should not see.
+export function validate_request(body) {
+  const { messages, context = null } = body || {};
+  if (!Array.isArray(messages) || messages.length === 0) throw new Error('Invalid request: messages must be a non-empty array');
+  for (const message of messages) {
+    if (!message || !['user', 'model'].includes(message.role) || typeof message.text !== 'string' || message.text.length > MAX_TEXT) {
+      throw new Error(`Invalid request: each message needs a role of user or model and a text of at most ${MAX_TEXT} characters`);
+    }
+  }
+  if (messages.at(-1).role !== 'user') throw new Error('Invalid request: the last message must be from the user');
+  if (context !== null && typeof context !== 'object') throw new Error('Invalid request: context must be an object');
+  return { messages: messages.slice(-MAX_MESSAGES), context };
+}
+
+// Model parsing for text the page's own rules did not recognise:
+// POST { text } answers { command } (null when it is not a command).
+async function handle_command(provider, req, res, origins) {
+  let text;
+  try {
+    check_post(req, origins);
+    ({ text } = await read_json(req));
+    if (typeof text !== 'string' || text.length === 0 || text.length > MAX_TEXT) throw new Error('Invalid request: text must be a non-empty string');
+  } catch (err) {
+    send_error(req, res, err);
+    return;
+  }
+  try {
+    send_json(res, 200, { command: await provider.parse_command(text) });
+  } catch (err) {
+    send_json(res, 422, { error: err.message });
+  }
+}
+
+// Node http handler for ASSISTANT_PATH: GET reports the provider in use and
+// whether it parses commands, POST { messages, context } answers
+// { reply, provider }; COMMAND_PATH is handled when the provider parses
+// commands. Returns false for any other path so it can sit in front of a
+// static file server. origins lists the origins allowed to POST (see
+// check_post); null allows any.
+export function create_assistant_handler(provider, { origins = null } = {}) {
+  const commands = typeof provider.parse_command === 'function';
+  return async (req, res) => {
+    const path = new URL(req.url, 'http://localhost').pathname;
+    if (path === COMMAND_PATH && commands && req.method === 'POST') {
+      await handle_command(provider, req, res, origins);
+      return true;
+    }
+    if (path !== ASSISTANT_PATH) return false;
+    if (req.method === 'GET') {
+      send_json(res, 200, { provider: provider.name, commands });
+      return true;
+    }
+    if (req.method !== 'POST') {
+      send_json(res, 405, { error: 'Use GET or POST' });
+      return true;
+    }
+    let request;
+    try {
+      check_post(req, origins);
+      request = validate_request(await read_json(req));
+    } catch (err) {
+      send_error(req, res, err);
+      return true;
+    }
+    try {
+      const reply = await provider.reply({ system: system_prompt(request.context), ...request });
+      send_json(res, 200, { reply, provider: provider.name });
+    } catch (err) {
+      console.error(`Assistant provider ${provider.name} failed:`, err.message);
+      send_json(res, 502, { error: err.message });
+    }
+    return true;
+  };
+}
@@ -0,0 +1,190 @@
+import { PARAMETER_LABELS, answer_query } from './assistant/commands.mjs';
+import { simulation_context } from './assistant/context.mjs';
+import { DEFAULT_OPTIONS, Simulation } from './sim/index.mjs';
+
+const STEP_INTERVAL = 200;
+
+const SLIDERS = [
+  { key: 'omega', id: 'omega', label: 'Omega (ω) - Inertia', min: 0.1, max: 1.0, color: 'orange' },
+  { key: 'phi_p', id: 'phiP', label: 'Phi P (φₚ) - Personal', min: 0.5, max: 3.0, color: 'blue' },
+  { key: 'phi_g', id: 'phiG', label: 'Phi G (φᵍ) - Global', min: 0.5, max: 3.0, color: 'purple' }
+];
+
+const LEGEND = [['🌲', 'Trees'], ['🔥', 'Fire'], ['🟩', 'Extinguished'], ['⬛', 'Burnt'], ['🔷', 'Water'], ['🟫', 'Firebreak'], ['🚁', 'Drone']];
+
+function page_html(options) {
+  const sliders = SLIDERS.map(({ key, id, label, min, max, color }) => `
+    <div class="bg-slate-800/50 p-4 rounded-lg">
+      <label class="block text-sm font-semibold text-gray-300 mb-2">
+        ${label}: <span id="${id}Value" class="text-${color}-400">${options[key]}</span>
+      </label>
+      <input id="${id}Slider" type="range" min="${min}" max="${max}" step="0.1" value="${options[key]}" class="slider w-full accent-${color}-500">
+      <div class="flex justify-between text-xs text-gray-500 mt-1"><span>${min.toFixed(1)}</span><span>${max.toFixed(1)}</span></div>
+    </div>`).join('');
+  const stat = (label, id, color, value) =>
+    `<div class="flex items-center gap-3 px-4 py-3 bg-slate-800 rounded-lg">${label}: <span id="${id}" class="font-bold text-${color}-400">${value}</span></div>`;
+
+  return `
+<div class="max-w-7xl mx-auto py-12 px-6">
+  <h1 class="text-6xl font-bold text-center mb-6 bg-gradient-to-r from-white via-orange-100 to-red-200 bg-clip-text text-transparent">
+    Drone Swarm Wildfire Simulation
+  </h1>
+  <p class="text-center text-gray-400 mb-12 max-w-3xl mx-auto">
+    Adjust PSO parameters and watch autonomous drones fight wildfires in real-time.
+  </p>
+
+  <div class="relative w-full bg-black p-6 rounded-3xl border-2 border-slate-700 overflow-auto shadow-2xl mb-6">
+    <div id="grid" class="font-mono text-center leading-none text-xl whitespace-nowrap"></div>
+  </div>
+
+  <div class="grid md:grid-cols-3 gap-6 mb-6">${sliders}
+  </div>
+
+  <div class="flex flex-wrap gap-4 justify-center mb-6">
+    <button id="startBtn" class="px-6 py-3 bg-gradient-to-r from-green-500 to-emerald-600 rounded-lg font-semibold shadow-lg shadow-green-500/25 hover:from-green-600 hover:to-emerald-700 transition-all duration-300">Start</button>
+    <button id="stopBtn" class="px-6 py-3 bg-gradient-to-r from-red-500 to-orange-600 rounded-lg font-semibold shadow-lg shadow-red-500/25 hover:from-red-600 hover:to-orange-700 transition-all duration-300">Stop</button>
+    <button id="resetBtn" class="px-6 py-3 bg-slate-700 rounded-lg font-semibold hover:bg-slate-600 transition-all duration-300">Reset</button>
+  </div>
+
+  <div class="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+    ${stat('Step', 'stepCount', 'cyan', 0)}
+    ${stat('Fires', 'fireCount', 'orange', 0)}
+    ${stat('Extinguished', 'extCount', 'green', 0)}
+    ${stat('Efficiency', 'efficiency', 'purple', '0%')}
+  </div>
+
+  <div class="grid md:grid-cols-2 gap-6">
+    <div class="bg-slate-800/50 p-4 rounded-lg">
+      <div class="text-sm font-semibold text-gray-300 mb-2">🗺️ Legend</div>
+      ${LEGEND.map(([emoji, label]) => `<p>${emoji} ${label}</p>`).join('\n      ')}
+    </div>
+    <div class="bg-slate-800/50 p-4 rounded-lg">
+      <div class="text-sm font-semibold text-gray-300 mb-2">ℹ️ Notes</div>
+      <p>• Drones deploy at step ${options.deploy_step}</p>
+      <p>• Adjust omega, phi_p, phi_g during simulation</p>
+      <p>• Fire spreads based on elevation &amp; wind</p>
+      <p>• Drones refill at water sources</p>
+    </div>
+  </div>
+</div>`;
+}
+
+// The standalone emoji-grid page over the shared simulation module. options
+// are Simulation options (main.html passes STANDALONE_OPTIONS to keep its
+// original behaviour); drone_cell picks how a drone's position maps to the
+// cell its 🚁 is drawn in, 'floor' like the cell it acts on or 'round' as
+// main.html always drew them. Returns the current Simulation's getter (a
+// reset replaces it), run_command for EVA's commands and a stop function.
+export function mount_simulation(root, { options = {}, drone_cell = 'floor' } = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const to_cell = drone_cell === 'round' ? Math.round : Math.floor;
+  root.innerHTML = page_html(settings);
+  const $ = id => root.querySelector(`#${id}`);
+
+  let sim = null;
+  let running = false;
+  let num_drones = settings.num_drones;
+
+  const render = () => {
+    const drones = new Set(sim.swarm ? sim.swarm.positions.map(([x, y]) => `${to_cell(x)},${to_cell(y)}`) : []);
+    let html = '';
+    for (let y = 0; y < sim.env.height; y++) {
+      let row = '';
+      for (let x = 0; x < sim.env.width; x++) {
+        const emoji = drones.has(`${x},${y}`) ? '🚁' : sim.env.grid[y][x].display();
+        row += `<span class="inline-block w-8">${emoji}</span>`;
+      }
+      html += `<div class="leading-none">${row}</div>`;
+    }
+    $('grid').innerHTML = html;
+
+    const [saved, burnt] = sim.env.count_trees();
+    $('stepCount').textContent = sim.step_count;
+    $('fireCount').textContent = sim.env.active_fires.length;
+    $('extCount').textContent = sim.total_extinguished;
+    $('efficiency').textContent = (saved + burnt > 0 ? ((saved / (saved + burnt)) * 100).toFixed(1) : 0) + '%';
+  };
+
+  const reset = () => {
+    running = false;
+    const params = Object.fromEntries(SLIDERS.map(({ key, id }) => [key, parseFloat($(`${id}Slider`).value)]));
+    sim = new Simulation({ ...options, ...params, num_drones });
+    render();
+  };
+
+  for (const { key, id } of SLIDERS) {
+    $(`${id}Slider`).oninput = e => {
+      $(`${id}Value`).textContent = e.target.value;
+      sim.set_parameters({ [key]: parseFloat(e.target.value) });
+    };
+  }
+  // An EVA command (assistant/commands.mjs) on this page's controls;
+  // returns what EVA says about it.
+  const run_command = (command) => {
+    switch (command.action) {
+      case 'start':
+      case 'resume':
+        if (sim.is_finished()) return 'This run is over. Say reset for a new one.';
+        running = true;
+        return 'Running.';
+      case 'pause':
+        running = false;
+        return `Paused at step ${sim.step_count}.`;
+      case 'step':
+        running = false;
+        for (let i = 0; i < command.count && !sim.is_finished(); i++) sim.step();
+        render();
+        return `Now at step ${sim.step_count}.`;
+      case 'reset':
+        reset();
+        return 'Reset with a fresh map.';
+      case 'set': {
+        const slider = SLIDERS.find(({ key }) => key === command.parameter);
+        if (slider) {
+          $(`${slider.id}Slider`).value = command.value;
+          $(`${slider.id}Value`).textContent = command.value;
+        }
+        sim.set_parameters({ [command.parameter]: command.value });
+        return `${PARAMETER_LABELS[command.parameter]} set to ${command.value}.`;
+      }
+      case 'ignite': {
+        const { x, y } = command;
+        if (x >= sim.env.width || y >= sim.env.height) return `${x}, ${y} is off the map, which is ${sim.env.width} by ${sim.env.height}.`;
+        const fires = sim.env.active_fires.length;
+        sim.env.ignite(x, y);
+        render();
+        return sim.env.active_fires.length > fires ? `Fire started at ${x}, ${y}.` : `There's nothing to burn at ${x}, ${y}.`;
+      }
+      case 'deploy':
+        if (sim.step_count > 0 && !sim.is_finished()) {
+          sim.dispatch({ count: command.count });
+          return `Sending ${command.count} more drones.`;
+        }
+        num_drones = command.count;
+        if (sim.step_count > 0) return `${num_drones} drones from the next reset.`;
+        reset();
+        return `${num_drones} drones ready to launch.`;
+      case 'query':
+        return answer_query(command.topic, simulation_context(sim));
+      default:
+        return `I can't do ${command.action} yet.`;
+    }
+  };
+
+  $('startBtn').onclick = () => (running = true);
+  $('stopBtn').onclick = () => (running = false);
+  $('resetBtn').onclick = reset;
+
+  reset();
+  const timer = setInterval(() => {
+    if (!running) return;
+    sim.step();
+    render();
+    if (sim.is_finished()) running = false;
+  }, STEP_INTERVAL);
+  return { simulation: () => sim, run_command, stop: () => clearInterval(timer) };
+}
+
+// index.html's entry point: the page with the shared module's defaults.
+const root = document.getElementById('root');
+if (root) mount_simulation(root);
@@ -1,428 +1,911 @@
 import React, { useState, useEffect, useRef } from 'react';
+import {
+  CONTROLLER_LABELS,
+  Comparison,
+  DEFAULT_FORECAST,
+  DEFAULT_SENSING,
+  DEFAULT_UNITS,
+  DRONE_TYPES,
+  FIRE_PRESETS,
+  LAUNCH_SITES,
+  ReplayPlayer,
+  ReplayRecorder,
+  STRATEGY_LABELS,
+  SeededRng,
+  TARGETING_LABELS,
+  Simulation,
+  Timeline,
+  cells_to_hectares,
+  elevation_from_image_data,
+  parse_ascii_grid,
+  parse_replay_json,
+  parse_scenario_json,
+  scale_drone_type,
+  scenario_from_elevation,
+  steps_to_minutes
+} from './sim/index.mjs';
+import { AssistantClient } from './assistant/client.mjs';
+import { PARAMETER_LABELS, PARAMETER_RANGES, answer_query } from './assistant/commands.mjs';
+import { simulation_context } from './assistant/context.mjs';
+import { CELL_COLORS, GridRenderer, rgb } from './render/canvas_renderer.mjs';
+import { draw_line_chart } from './render/charts.mjs';
+import { download_file, read_image_data, read_text_file } from './render/files.mjs';
+import { EDIT_TOOLS, MapEditor } from './render/map_editor.mjs';
+import { export_replay_gif, export_replay_webm } from './render/replay_export.mjs';
+import { listen, speak, speech_supported } from './render/speech.mjs';
+
+const LEGEND = [
+  ['tree', 'Forest (Trees)'],
+  ['fire', 'Active Fire'],
+  ['extinguished', 'Extinguished by Drone'],
+  ['burnt', 'Burnt Naturally'],
+  ['water', 'Water Source'],
+  ['firebreak', 'Firebreak']
+];
+
+const PSO_STRATEGIES = ['gbest', 'ring'];
+// adaptive: '' for fixed parameters, otherwise a CONTROLLERS name.
+const DEFAULT_PARAMS = { omega: 0.7, phi_p: 1.5, phi_g: 1.5, strategy: 'gbest', targeting: 'fire', adaptive: '' };
+
+// History charts: each series is [history field, label, colour].
+const CHARTS = [
+  { title: 'Fires', series: [['active_fires', 'Active', '#fb923c'], ['trees_burnt', 'Burnt', '#a8a29e']], range: { min: 0 } },
+  { title: 'Trees saved', series: [['trees_saved', 'Saved', '#4ade80']] },
+  { title: 'Extinguished', series: [['extinguished', 'Total', '#22c55e']], range: { min: 0 } },
+  { title: 'Swarm diversity', series: [['diversity', 'Spread', '#c084fc']], range: { min: 0 } },
+  { title: 'Average water', series: [['average_water', 'Tank', '#60a5fa']], range: { min: 0, max: 1 } },
+  { title: 'Global best fitness', series: [['gbest_fitness', 'gbest', '#facc15']] },
+  {
+    title: 'PSO coefficients',
+    series: [['omega', 'ω', '#fb923c'], ['phi_p', 'φₚ', '#60a5fa'], ['phi_g', 'φᵍ', '#c084fc']],
+    range: { min: 0 }
+  },
+  { title: 'Step reward', series: [['reward', 'Reward', '#2dd4bf']] }
+];
+
+// Playback speeds as multiples of one step per STEP_INTERVAL ms; 'max' steps
+// as fast as the browser allows, drawing once per frame.
+const STEP_INTERVAL = 200;
+const SPEEDS = [0.25, 0.5, 1, 2, 4, 'max'];
+
+const SUMMARY_ITEMS = [
+  ['steps', 'Steps'],
+  ['drones_deployed', 'Drones deployed'],
+  ['steps_to_first_drop', 'First drop at step'],
+  ['minutes_to_first_drop', 'First drop after (min)'],
+  ['steps_to_containment', 'Contained at step'],
+  ['minutes_to_containment', 'Contained after (min)'],
+  ['trees_saved', 'Trees saved'],
+  ['trees_burnt', 'Trees burnt'],
+  ['hectares_saved', 'Saved (ha)'],
+  ['hectares_burnt', 'Burnt (ha)'],
+  ['total_extinguished', 'Extinguished'],
+  ['peak_fires', 'Peak active fires'],
+  ['refill_trips', 'Refill trips'],
+  ['return_trips', 'Returns to base']
+];
+
+// Units panel: [DEFAULT_UNITS key, label].
+const UNIT_FIELDS = [
+  ['cell_size', 'Cell size (m)'],
+  ['step_seconds', 'Step (s)'],
+  ['drone_speed', 'Drone speed (m/s)'],
+  ['extinguish_seconds', 'Extinguish (s)'],
+  ['refill_seconds', 'Refill (s)']
+];
+
+// When and how the fleet takes off: [option, label, minimum].
+const DEPLOYMENT_FIELDS = [
+  ['deploy_step', 'Deploy at step', 0],
+  ['waves', 'Waves', 1],
+  ['wave_interval', 'Steps between waves', 0]
+];
+const DEFAULT_DEPLOYMENT = { deploy_step: 10, waves: 1, wave_interval: 5 };
+
+// Limited sensing, in cells and steps: [option, label, minimum].
+const SENSING_FIELDS = [
+  ['sensor_radius', 'Sensor radius', 0.5],
+  ['comm_range', 'Radio range', 0],
+  ['forget_after', 'Forget fires after (steps)', 1]
+];
+
+const formatValue = (value) => (typeof value === 'number' && !Number.isInteger(value) ? value.toFixed(2) : value);
+
+// A drone type's top speed (m/s) and refill time (s) at the given units.
+const droneFigures = (spec, units) => {
+  const scaled = scale_drone_type(spec, units);
+  return { speed: (scaled.max_speed * units.cell_size) / units.step_seconds, refill: scaled.refill_time * units.step_seconds };
+};
 
-const DRONE_SPEED = 10.0;
-const CELL_SIZE = 10;
-const REFILL_TIME = 30;
-const EXTINGUISH_TIME = 40;
-const MAX_WATER_CAPACITY = 3;
-
-class Cell {
-  constructor(elevation) {
-    this.tree = true;
-    this.fire = false;
-    this.burnt = false;
-    this.water = false;
-    this.elevation = elevation;
-    this.fire_cooldown = 0;
-    this.extinguished_by_drone = false;
-  }
-
-  display() {
-    if (this.fire) return '🔥';
-    if (this.burnt) return this.extinguished_by_drone ? '🟩' : '⬛';
-    if (this.water) return '🔷';
-    if (this.tree) return '🌲';
-    return ' ';
-  }
-}
-
-class Environment {
-  constructor(width = 40, height = 20) {
-    this.width = width;
-    this.height = height;
-    this.grid = [];
-    for (let y = 0; y < height; y++) {
-      this.grid[y] = [];
-      for (let x = 0; x < width; x++) {
-        this.grid[y][x] = new Cell(Math.random() * 100);
-      }
-    }
-    this.wind = [1, 0];
-    this.active_fires = [];
-  }
-
-  add_water_blobs(count = 3) {
-    const num_blobs = Math.floor(Math.random() * (count - 1)) + 2;
-    for (let blob = 0; blob < num_blobs; blob++) {
-      const cx = Math.floor(Math.random() * (this.width - 8)) + 4;
-      const cy = Math.floor(Math.random() * (this.height - 8)) + 4;
-      const steps = Math.floor(Math.random() * 15) + 15;
-      let x = cx, y = cy;
-      for (let i = 0; i < steps; i++) {
-        if (x >= 0 && x < this.width && y >= 0 && y < this.height) {
-          this.grid[y][x].water = true;
-          this.grid[y][x].tree = false;
-        }
-        x += Math.floor(Math.random() * 3) - 1;
-        y += Math.floor(Math.random() * 3) - 1;
-      }
-    }
-  }
-
-  ignite(x, y) {
-    if (x >= 0 && x < this.width && y >= 0 && y < this.height) {
-      const cell = this.grid[y][x];
-      if (cell.tree && !cell.fire && !cell.burnt && !cell.water) {
-        cell.fire = true;
-        cell.fire_cooldown = 3;
-        this.active_fires.push([x, y]);
-      }
-    }
-  }
+// Lines of the EVA conversation kept on screen.
+const EVA_LOG_SIZE = 6;
+
+// A fleet of `total` drones in the proportions of counts (all standard when
+// counts is empty); rounding leftovers go to the most numerous type.
+const scaleFleet = (counts, total) => {
+  const current = Object.values(counts).reduce((a, b) => a + b, 0);
+  if (current === 0) return { ...Object.fromEntries(Object.keys(counts).map((type) => [type, 0])), standard: total };
+  const scaled = Object.fromEntries(Object.entries(counts).map(([type, n]) => [type, Math.floor((n * total) / current)]));
+  const largest = Object.keys(counts).reduce((a, b) => (counts[b] > counts[a] ? b : a));
+  scaled[largest] += total - Object.values(scaled).reduce((a, b) => a + b, 0);
+  return scaled;
+};
 
-  spread_fire() {
-    const new_fires = [];
-    const still_active = [];
+const parameterValueLabel = (parameter, value) =>
+  parameter === 'strategy' ? STRATEGY_LABELS[value] : parameter === 'targeting' ? TARGETING_LABELS[value] : value;
+
+// Strategy selector and PSO sliders for one parameter set; comparison mode
+// shows one per pane. `live` holds the coefficients a running controller has
+// chosen, shown next to the sliders, which then only set the starting values.
+const ParameterPanel = ({ title = null, params, onChange, suffix = '', live = null }) => {
+  const set = (key, value) => onChange({ ...params, [key]: value });
+  const pso = PSO_STRATEGIES.includes(params.strategy);
+  const liveValue = (key) =>
+    params.adaptive && live && live.adaptive === params.adaptive ? (
+      <span className="ml-2 text-xs text-gray-400">now {live[key].toFixed(2)}</span>
+    ) : null;
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-3 mb-6 bg-slate-800/50 p-4 rounded-lg">
+        <label htmlFor={`strategySelect${suffix}`} className="text-sm font-semibold text-gray-300">
+          {title && <span className="text-cyan-400 mr-2">{title}</span>}
+          Coordination Strategy
+        </label>
+        <select
+          id={`strategySelect${suffix}`}
+          value={params.strategy}
+          onChange={(e) => set('strategy', e.target.value)}
+          className="px-2 py-1 bg-slate-900 border border-slate-700 rounded text-sm text-gray-200"
+        >
+          {Object.entries(STRATEGY_LABELS).map(([name, label]) => (
+            <option key={name} value={name}>{label}</option>
+          ))}
+        </select>
+        <span className="text-xs text-gray-500">
+          {pso
+            ? 'Switches live. ω, φₚ and φᵍ below steer the swarm.'
+            : 'Switches live. ω, φₚ and φᵍ have no effect on this strategy.'}
+        </span>
+        <label htmlFor={`targetingSelect${suffix}`} className="text-sm font-semibold text-gray-300">
+          Targeting
+        </label>
+        <select
+          id={`targetingSelect${suffix}`}
+          value={params.targeting}
+          onChange={(e) => set('targeting', e.target.value)}
+          title="Fire front and forecast risk: drones favour the burning edge and the cells the spread forecast expects to catch next"
+          className="px-2 py-1 bg-slate-900 border border-slate-700 rounded text-sm text-gray-200"
+        >
+          {Object.entries(TARGETING_LABELS).map(([name, label]) => (
+            <option key={name} value={name}>{label}</option>
+          ))}
+        </select>
+        <label htmlFor={`adaptiveSelect${suffix}`} className="text-sm font-semibold text-gray-300 md:ml-auto">
+          Adaptive Tuning
+        </label>
+        <select
+          id={`adaptiveSelect${suffix}`}
+          value={params.adaptive}
+          onChange={(e) => set('adaptive', e.target.value)}
+          className="px-2 py-1 bg-slate-900 border border-slate-700 rounded text-sm text-gray-200"
+        >
+          <option value="">Off (fixed sliders)</option>
+          {Object.entries(CONTROLLER_LABELS).map(([name, label]) => (
+            <option key={name} value={name}>{label}</option>
+          ))}
+        </select>
+        {params.adaptive && (
+          <span className="text-xs text-gray-500">The sliders set the starting values; the controller tunes them as the run goes.</span>
+        )}
+      </div>
 
-    for (let [x, y] of this.active_fires) {
-      const cell = this.grid[y][x];
-      if (cell.fire_cooldown > 0) cell.fire_cooldown--;
+      <div className={`grid md:grid-cols-3 gap-6 mb-6 ${pso ? '' : 'opacity-50'}`}>
+        <div className="bg-slate-800/50 p-4 rounded-lg">
+          <label className="block text-sm font-semibold text-gray-300 mb-2">
+            Omega (ω) - Inertia: <span id={`omegaValue${suffix}`} className="text-orange-400">{params.omega.toFixed(1)}</span>
+            {liveValue('omega')}
+          </label>
+          <input
+            type="range"
+            min="0.1"
+            max="1.0"
+            step="0.1"
+            value={params.omega}
+            onChange={(e) => set('omega', parseFloat(e.target.value))}
+            className="w-full h-2 bg-slate-700 rounded-lg appearance-none cursor-pointer accent-orange-500"
+          />
+          <div className="flex justify-between text-xs text-gray-500 mt-1">
+            <span>0.1</span>
+            <span>1.0</span>
+          </div>
+        </div>
 
-      if (Math.random() < 0.03) {
-        cell.fire = false;
-        cell.burnt = true;
-        cell.extinguished_by_drone = false;
-        continue;
-      }
+        <div className="bg-slate-800/50 p-4 rounded-lg">
+          <label className="block text-sm font-semibold text-gray-300 mb-2">
+            Phi P (φₚ) - Personal: <span id={`phipValue${suffix}`} className="text-blue-400">{params.phi_p.toFixed(1)}</span>
+            {liveValue('phi_p')}
+          </label>
+          <input
+            type="range"
+            min="0.5"
+            max="3.0"
+            step="0.1"
+            value={params.phi_p}
+            onChange={(e) => set('phi_p', parseFloat(e.target.value))}
+            className="w-full h-2 bg-slate-700 rounded-lg appearance-none cursor-pointer accent-blue-500"
+          />
+          <div className="flex justify-between text-xs text-gray-500 mt-1">
+            <span>0.5</span>
+            <span>3.0</span>
+          </div>
+        </div>
 
-      if (cell.fire_cooldown === 0) {
-        for (let dx = -1; dx <= 1; dx++) {
-          for (let dy = -1; dy <= 1; dy++) {
-            if (dx === 0 && dy === 0) continue;
-            const nx = x + dx, ny = y + dy;
-            if (nx >= 0 && nx < this.width && ny >= 0 && ny < this.height) {
-              const ncell = this.grid[ny][nx];
-              if (ncell.tree && !ncell.fire && !ncell.burnt && !ncell.water) {
-                const elev_diff = ncell.elevation - cell.elevation;
-                let base_prob = 0.05 + elev_diff * 0.003;
-                if (dx === this.wind[0] && dy === this.wind[1]) base_prob += 0.08;
-                if (Math.random() < Math.min(Math.max(base_prob, 0.005), 0.4)) {
-                  ncell.fire = true;
-                  ncell.fire_cooldown = 2;
-                  new_fires.push([nx, ny]);
-                }
-              }
-            }
-          }
-        }
-        cell.fire_cooldown = 2;
-      }
-      still_active.push([x, y]);
-    }
+        <div className="bg-slate-800/50 p-4 rounded-lg">
+          <label className="block text-sm font-semibold text-gray-300 mb-2">
+            Phi G (φᵍ) - Global: <span id={`phigValue${suffix}`} className="text-purple-400">{params.phi_g.toFixed(1)}</span>
+            {liveValue('phi_g')}
+          </label>
+          <input
+            type="range"
+            min="0.5"
+            max="3.0"
+            step="0.1"
+            value={params.phi_g}
+            onChange={(e) => set('phi_g', parseFloat(e.target.value))}
+            className="w-full h-2 bg-slate-700 rounded-lg appearance-none cursor-pointer accent-purple-500"
+          />
+          <div className="flex justify-between text-xs text-gray-500 mt-1">
+            <span>0.5</span>
+            <span>3.0</span>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
 
-    this.active_fires = still_active.filter(([x, y]) => this.grid[y][x].fire).concat(new_fires);
-  }
-
-  extinguish_fire_at(x, y, drone_pos = null, simulation_time = null) {
-    if (x >= 0 && x < this.width && y >= 0 && y < this.height) {
-      const cell = this.grid[y][x];
-      if (cell.fire) {
-        if (simulation_time && drone_pos) {
-          const dx = x - drone_pos[0];
-          const dy = y - drone_pos[1];
-          const distance = Math.sqrt(dx * dx + dy * dy) * CELL_SIZE;
-          const travel_time = distance / DRONE_SPEED;
-          simulation_time[0] += travel_time + EXTINGUISH_TIME;
-        }
-        cell.fire = false;
-        cell.burnt = true;
-        cell.tree = false;
-        cell.fire_cooldown = 0;
-        cell.extinguished_by_drone = true;
-        this.active_fires = this.active_fires.filter(f => !(f[0] === x && f[1] === y));
-        return true;
-      }
-    }
-    return false;
-  }
-
-  get_attraction_matrix() {
-    const matrix = Array(this.height).fill(0).map(() => Array(this.width).fill(0));
-    for (let y = 0; y < this.height; y++) {
-      for (let x = 0; x < this.width; x++) {
-        const cell = this.grid[y][x];
-        if (cell.fire) matrix[y][x] = 5;
-        else if (cell.burnt) matrix[y][x] = 4;
-        else if (cell.water) matrix[y][x] = 3;
-      }
-    }
-    return matrix;
-  }
-
-  count_trees() {
-    let saved = 0, burnt = 0;
-    for (let row of this.grid) {
-      for (let cell of row) {
-        if (cell.tree) saved++;
-        else if (cell.burnt) burnt++;
-      }
+const FireSuppressionSimulation = () => {
+  const canvasRef = useRef(null);
+  const rendererRef = useRef(null);
+  const canvasBRef = useRef(null);
+  const rendererBRef = useRef(null);
+  const [params, setParams] = useState(DEFAULT_PARAMS);
+  const [paramsB, setParamsB] = useState({ ...DEFAULT_PARAMS, strategy: 'cluster' });
+  const [compare, setCompare] = useState(false);
+  const [fleet, setFleet] = useState({ standard: 20, scout: 0, tanker: 0 });
+  const [launch, setLaunch] = useState('random');
+  const [deployment, setDeployment] = useState(DEFAULT_DEPLOYMENT);
+  const [reinforcement, setReinforcement] = useState({ type: 'standard', count: 5 });
+  // comm_range null means every drone hears every other one.
+  const [sensing, setSensing] = useState({ enabled: false, ...DEFAULT_SENSING });
+  const [refillPolicy, setRefillPolicy] = useState('least_congested');
+  const [units, setUnits] = useState(DEFAULT_UNITS);
+  const [running, setRunning] = useState(false);
+  const [seed, setSeed] = useState('');
+  const [activeSeed, setActiveSeed] = useState(null);
+  const [fireModel, setFireModel] = useState('simple');
+  const [windDirection, setWindDirection] = useState(FIRE_PRESETS.simple.wind.direction);
+  const [windSpeed, setWindSpeed] = useState(FIRE_PRESETS.simple.wind.speed);
+  const [variableWind, setVariableWind] = useState(true);
+  const [terrainMode, setTerrainMode] = useState('random');
+  const [roughness, setRoughness] = useState(0.5);
+  const [riverCatchment, setRiverCatchment] = useState(3);
+  const [showElevation, setShowElevation] = useState(true);
+  const [showVelocities, setShowVelocities] = useState(true);
+  const [showForecast, setShowForecast] = useState(false);
+  const [showBelief, setShowBelief] = useState(false);
+  const [editTool, setEditTool] = useState(null);
+  const [speed, setSpeed] = useState(1);
+  const [latestStep, setLatestStep] = useState(0);
+  const [earliestStep, setEarliestStep] = useState(0);
+  // { pane: 'a' | 'b', index } of the drone shown in the inspector.
+  const [selectedDrone, setSelectedDrone] = useState(null);
+  // Viewer mode: a ReplayPlayer shown instead of the live run.
+  const [replay, setReplay] = useState(null);
+  const [replayFrame, setReplayFrame] = useState(0);
+  const [replayPlaying, setReplayPlaying] = useState(false);
+  const [replayError, setReplayError] = useState(null);
+  const [exporting, setExporting] = useState(null);
+  const [step, setStep] = useState(0);
+  const [stats, setStats] = useState({
+    fires: 0,
+    extinguished: 0,
+    saved: 0,
+    burnt: 0,
+    saved_hectares: 0,
+    burnt_hectares: 0,
+    elapsed_minutes: 0,
+    diversity: null,
+    reward: null,
+    live: null,
+    liveB: null,
+    fleet: null,
+    sensing: null,
+    nextLaunch: null,
+    comparison: null
+  });
+  const [scenario, setScenario] = useState(null);
+  const [scenarioError, setScenarioError] = useState(null);
+  const [finished, setFinished] = useState(false);
+  const [lastRun, setLastRun] = useState(null);
+  const [evaLog, setEvaLog] = useState([]);
+  const [evaInput, setEvaInput] = useState('');
+  const [listening, setListening] = useState(false);
+  const simRef = useRef(null);
+  const simBRef = useRef(null);
+  const comparisonRef = useRef(null);
+  const scenarioInputRef = useRef(null);
+  const chartRefs = useRef([]);
+  const editorsRef = useRef([]);
+  const timelineRef = useRef(null);
+  const recorderRef = useRef(null);
+  const replayRef = useRef(null);
+  const replayInputRef = useRef(null);
+  // Set once the map has been edited, so Start runs the edited map instead
+  // of generating a new one.
+  const mapEditedRef = useRef(false);
+  const assistantRef = useRef(null);
+  const stopListeningRef = useRef(null);
+  // The latest runCommand, for replies that arrive after a re-render.
+  const runCommandRef = useRef(null);
+
+  const initSim = (
+    scenarioToLoad = scenario,
+    { fleetCounts = fleet, launchSite = launch, refill = refillPolicy, runUnits = units, deploy = deployment, runSensing = sensing } = {}
+  ) => {
+    const runSeed = seed.trim() === '' ? SeededRng.random_seed() : seed.trim();
+    const preset = FIRE_PRESETS[fireModel];
+    const wind = { ...preset.wind, direction: windDirection, speed: windSpeed };
+    if (!variableWind) {
+      wind.variability = 0;
+      wind.gust_chance = 0;
     }
-    return [saved, burnt];
-  }
-}
-
-class DroneSwarm {
-  constructor(env, num_drones = 20) {
-    this.env = env;
-    this.num_drones = num_drones;
-    this.positions = Array(num_drones).fill(0).map(() => [
-      Math.random() * (env.width - 1),
-      Math.random() * (env.height - 1)
-    ]);
-    this.velocities = Array(num_drones).fill(0).map(() => [
-      (Math.random() - 0.5) * 3,
-      (Math.random() - 0.5) * 3
-    ]);
-    this.pbest_positions = this.positions.map(p => [...p]);
-    this.pbest_values = this.positions.map(p => this.fitness(p));
-    const best_idx = this.pbest_values.indexOf(Math.min(...this.pbest_values));
-    this.gbest_position = [...this.pbest_positions[best_idx]];
-    this.gbest_value = this.pbest_values[best_idx];
-
-    this.water_left = Array(num_drones).fill(MAX_WATER_CAPACITY);
-    this.refill_timers = Array(num_drones).fill(0);
-    this.omega = 0.7;
-    this.phi_p = 1.5;
-    this.phi_g = 1.5;
-  }
-
-  fitness(pos) {
-    const [px, py] = pos;
-    const x = Math.floor(px), y = Math.floor(py);
-    if (x < 0 || x >= this.env.width || y < 0 || y >= this.env.height) return 1e6;
-
-    const matrix = this.env.get_attraction_matrix();
-    const cell_value = matrix[y][x];
-
-    const water_positions = [];
-    for (let yy = 0; yy < this.env.height; yy++) {
-      for (let xx = 0; xx < this.env.width; xx++) {
-        if (matrix[yy][xx] === 3) water_positions.push([yy, xx]);
-      }
+    const terrain = terrainMode === 'procedural' ? { roughness, river_threshold: riverCatchment / 100 } : null;
+    // Keep the outgoing run's summary and history so a reset does not lose it.
+    const previous = simRef.current;
+    if (previous && previous.step_count > 0) {
+      setLastRun({ summary: previous.summary(), history: previous.history });
     }
-    let min_dist_water = Infinity;
-    if (water_positions.length > 0) {
-      for (let [wy, wx] of water_positions) {
-        const dist = Math.sqrt((wx - x) ** 2 + (wy - y) ** 2);
-        min_dist_water = Math.min(min_dist_water, dist);
-      }
+    const fleetList = Object.entries(fleetCounts).map(([type, count]) => ({ type, count }));
+    const options = {
+      ...preset,
+      wind,
+      terrain,
+      scenario: scenarioToLoad,
+      seed: runSeed,
+      fleet: fleetList,
+      launch: launchSite,
+      ...deploy,
+      refill_policy: refill,
+      units: runUnits,
+      sensing: runSensing.enabled ? Object.fromEntries(SENSING_FIELDS.map(([key]) => [key, runSensing[key]])) : null
+    };
+    let sim;
+    if (compare) {
+      const comparison = new Comparison(options, params, paramsB);
+      comparisonRef.current = comparison;
+      sim = comparison.a;
+      simBRef.current = comparison.b;
+    } else {
+      sim = new Simulation({ ...options, ...params });
+      comparisonRef.current = null;
+      simBRef.current = null;
     }
 
-    if (cell_value === 5) return -100 + min_dist_water;
-    if (cell_value === 3) return -10;
-    if (cell_value === 4) return 1000;
+    simRef.current = sim;
+    timelineRef.current = comparisonRef.current
+      ? new Timeline(comparisonRef.current, [comparisonRef.current.a, comparisonRef.current.b])
+      : new Timeline(sim);
+    recorderRef.current = new ReplayRecorder(sim);
+    mapEditedRef.current = false;
+    setActiveSeed(String(runSeed));
+    setSelectedDrone(null);
+    setLatestStep(0);
+    setEarliestStep(0);
+    setStep(0);
+    setFinished(false);
+    updateStats(sim);
+    render(sim);
+  };
 
-    const fire_positions = [];
-    for (let yy = 0; yy < this.env.height; yy++) {
-      for (let xx = 0; xx < this.env.width; xx++) {
-        if (matrix[yy][xx] === 5) fire_positions.push([yy, xx]);
-      }
-    }
-    let min_dist_fire = 0;
-    if (fire_positions.length > 0) {
-      let min = Infinity;
-      for (let [fy, fx] of fire_positions) {
-        const dist = Math.sqrt((fx - x) ** 2 + (fy - y) ** 2);
-        min = Math.min(min, dist);
+  const updateStats = (sim) => {
+    const [saved, burnt] = sim.env.count_trees();
+    setStats({
+      fires: sim.env.active_fires.length,
+      extinguished: sim.total_extinguished,
+      saved,
+      burnt,
+      saved_hectares: cells_to_hectares(saved, sim.units),
+      burnt_hectares: cells_to_hectares(burnt, sim.units),
+      elapsed_minutes: steps_to_minutes(sim.step_count, sim.units),
+      diversity: sim.diversity,
+      reward: sim.reward,
+      live: liveParams(sim),
+      liveB: simBRef.current ? liveParams(simBRef.current) : null,
+      fleet: sim.swarm
+        ? { ...sim.swarm.fleet_status(), refill_trips: sim.swarm.planner.refill_trips, idle_steps: sim.swarm.planner.idle_steps }
+        : null,
+      sensing: sim.swarm ? sim.swarm.sensing_status() : null,
+      nextLaunch: sim.deployments.length > 0
+        ? { step: sim.deployments[0].step, count: sim.deployments[0].types.length, minutes: steps_to_minutes(sim.deployments[0].step, sim.units) }
+        : null,
+      comparison: comparisonRef.current ? comparisonRef.current.diff() : null
+    });
+  };
+
+  const render = (sim) => {
+    const player = replayRef.current;
+    if (player) {
+      if (rendererRef.current) {
+        rendererRef.current.overlay = null;
+        rendererRef.current.belief = null;
+        rendererRef.current.draw(player.env, player.swarm, player.bases);
       }
-      min_dist_fire = min;
+      return;
     }
-    return fire_positions.length > 0 ? min_dist_fire : 100;
-  }
-
-  step(iteration, simulation_time) {
-    for (let i = 0; i < this.num_drones; i++) {
-      const r_p = Math.random();
-      const r_g = Math.random();
+    const draw = (renderer, run) => {
+      renderer.overlay = renderer.show_forecast ? run.forecast_map() : null;
+      renderer.belief = renderer.show_belief ? run.belief_map() : null;
+      renderer.draw(run.env, run.swarm, run.bases);
+    };
+    if (rendererRef.current) draw(rendererRef.current, sim);
+    const simB = simBRef.current;
+    if (simB && rendererBRef.current) draw(rendererBRef.current, simB);
+    CHARTS.forEach((chart, k) => {
+      const canvas = chartRefs.current[k];
+      if (!canvas) return;
+      const series = chart.series.map(([field, label, color]) => ({ label, color, values: sim.history.column(field) }));
+      draw_line_chart(canvas, series, chart.range);
+    });
+  };
 
-      this.velocities[i][0] =
-        this.omega * this.velocities[i][0] +
-        this.phi_p * r_p * (this.pbest_positions[i][0] - this.positions[i][0]) +
-        this.phi_g * r_g * (this.gbest_position[0] - this.positions[i][0]);
+  const liveParams = (sim) => ({ adaptive: sim.adaptive || '', omega: sim.omega, phi_p: sim.phi_p, phi_g: sim.phi_g });
+
+  // Pushes a panel's settings into a run. While a controller is active it
+  // owns omega/phi, so only the strategy and targeting are passed on;
+  // switching controller restarts it from the sliders.
+  const applyParams = (sim, p) => {
+    if ((sim.adaptive || '') !== p.adaptive) {
+      sim.set_parameters(p);
+      sim.set_adaptive(p.adaptive || null);
+    } else if (sim.adaptive) {
+      sim.set_parameters({ strategy: p.strategy, targeting: p.targeting });
+    } else {
+      sim.set_parameters(p);
+    }
+  };
 
-      this.velocities[i][1] =
-        this.omega * this.velocities[i][1] +
-        this.phi_p * r_p * (this.pbest_positions[i][1] - this.positions[i][1]) +
-        this.phi_g * r_g * (this.gbest_position[1] - this.positions[i][1]);
+  // What the timeline steps: the comparison in comparison mode, else the sim.
+  const currentRun = () => comparisonRef.current || simRef.current;
 
-      this.positions[i][0] += this.velocities[i][0];
-      this.positions[i][1] += this.velocities[i][1];
+  // One step without drawing. Returns whether the run has finished.
+  const advance = () => {
+    applyParams(simRef.current, params);
+    if (comparisonRef.current) applyParams(comparisonRef.current.b, paramsB);
+    timelineRef.current.step();
+    recorderRef.current.record(simRef.current);
+    return currentRun().is_finished();
+  };
 
-      this.positions[i][0] = Math.max(0, Math.min(this.env.width - 1, this.positions[i][0]));
-      this.positions[i][1] = Math.max(0, Math.min(this.env.height - 1, this.positions[i][1]));
-    }
+  const refresh = () => {
+    const sim = simRef.current;
+    render(sim);
+    setStep(currentRun().step_count);
+    setLatestStep(timelineRef.current.latest);
+    setEarliestStep(timelineRef.current.earliest);
+    updateStats(sim);
+  };
 
-    for (let i = 0; i < this.num_drones; i++) {
-      const fitness = this.fitness(this.positions[i]);
-      if (fitness < this.pbest_values[i]) {
-        this.pbest_positions[i] = [...this.positions[i]];
-        this.pbest_values[i] = fitness;
-        if (fitness < this.gbest_value) {
-          this.gbest_position = [...this.positions[i]];
-          this.gbest_value = fitness;
-        }
-      }
+  const step_sim = () => {
+    if (!simRef.current) return;
+    const done = advance();
+    refresh();
+    if (done) {
+      setRunning(false);
+      setFinished(true);
     }
+  };
 
-    let extinguished_count = 0;
-    for (let i = 0; i < this.num_drones; i++) {
-      const [px, py] = this.positions[i];
-      const x = Math.floor(px), y = Math.floor(py);
+  // Scrubbing pauses the run; stepping on from an earlier step replaces
+  // whatever came after it.
+  const scrubTo = (target) => {
+    if (!simRef.current) return;
+    setRunning(false);
+    timelineRef.current.seek(target);
+    setFinished(currentRun().is_finished());
+    refresh();
+  };
 
-      if (x < 0 || x >= this.env.width || y < 0 || y >= this.env.height) continue;
+  // After any map edit, from the editor or a command.
+  const mapChanged = () => {
+    mapEditedRef.current = true;
+    timelineRef.current.record_change();
+    recorderRef.current.record(simRef.current);
+    render(simRef.current);
+    updateStats(simRef.current);
+  };
 
-      const cell = this.env.grid[y][x];
+  // Sends reinforcements ({ type: count }) to every pane from the run's
+  // launch site; they take off on the next step.
+  const dispatchDrones = (fleetCounts) => {
+    const fleetList = Object.entries(fleetCounts).map(([type, count]) => ({ type, count }));
+    for (const target of [simRef.current, simBRef.current].filter(Boolean)) target.dispatch({ fleet: fleetList });
+    timelineRef.current.record_change();
+    recorderRef.current.record(simRef.current);
+    updateStats(simRef.current);
+  };
 
-      if (this.water_left[i] === 0) {
-        if (cell.water) {
-          this.refill_timers[i]++;
-          if (this.refill_timers[i] >= REFILL_TIME) {
-            this.water_left[i] = MAX_WATER_CAPACITY;
-            this.refill_timers[i] = 0;
-          }
+  // Carries out an EVA command (see assistant/commands.mjs) on the same
+  // controls as the buttons, pane A's parameters in comparison mode, and
+  // returns EVA's spoken confirmation.
+  const runCommand = (command) => {
+    const sim = simRef.current;
+    switch (command.action) {
+      case 'start':
+        if (sim.step_count > 0 && !finished) {
+          setRunning(true);
+          return running ? 'Already running.' : 'Resuming the run.';
         }
-        continue;
+        if (!mapEditedRef.current || finished) initSim();
+        setRunning(true);
+        return 'Starting the simulation.';
+      case 'resume':
+        if (finished) return 'This run is over. Say start for a new one.';
+        setRunning(true);
+        return running ? 'Already running.' : 'Resuming.';
+      case 'pause':
+        setRunning(false);
+        return running ? `Paused at step ${currentRun().step_count}.` : 'Already paused.';
+      case 'step': {
+        if (finished) return 'This run is over. Say start for a new one.';
+        setRunning(false);
+        if (replayRef.current) closeReplay();
+        let done = false;
+        for (let i = 0; i < command.count && !done; i++) done = advance();
+        refresh();
+        if (done) setFinished(true);
+        return `Now at step ${currentRun().step_count}.`;
       }
-
-      let extinguished_local = 0;
-      for (let dx = -1; dx <= 1; dx++) {
-        for (let dy = -1; dy <= 1; dy++) {
-          if (extinguished_local >= 3 || this.water_left[i] <= 0) break;
-          const nx = x + dx, ny = y + dy;
-          if (this.env.extinguish_fire_at(nx, ny, [x, y], simulation_time)) {
-            extinguished_count++;
-            extinguished_local++;
-            this.water_left[i]--;
-          }
+      case 'reset':
+        setRunning(false);
+        initSim();
+        return 'Reset with a fresh map.';
+      case 'set': {
+        const { parameter, value } = command;
+        const next = { ...params, [parameter]: value };
+        // A spoken value takes over from auto-tuning, which would overwrite it.
+        const tuningOff = PARAMETER_RANGES[parameter] && params.adaptive;
+        if (tuningOff) next.adaptive = '';
+        setParams(next);
+        applyParams(sim, next);
+        return `${PARAMETER_LABELS[parameter]} set to ${parameterValueLabel(parameter, value)}${tuningOff ? ', auto-tuning off' : ''}.`;
+      }
+      case 'ignite': {
+        const { x, y } = command;
+        if (x >= sim.env.width || y >= sim.env.height) return `${x}, ${y} is off the map, which is ${sim.env.width} by ${sim.env.height}.`;
+        const cell = sim.env.grid[y][x];
+        if (!cell.tree || cell.fire || cell.burnt || cell.water) return `There's nothing to burn at ${x}, ${y}.`;
+        for (const target of [simRef.current, simBRef.current].filter(Boolean)) target.env.ignite(x, y);
+        mapChanged();
+        return `Fire started at ${x}, ${y}.`;
+      }
+      case 'deploy': {
+        const fleetCounts = scaleFleet(fleet, command.count);
+        // Mid-run the drones join as reinforcements in the fleet's mix.
+        if (currentRun().step_count > 0 && !finished) {
+          dispatchDrones(fleetCounts);
+          return `Sending ${command.count} more drones.`;
+        }
+        setFleet(fleetCounts);
+        if (currentRun().step_count === 0 && !mapEditedRef.current) {
+          initSim(scenario, { fleetCounts });
+          return `${command.count} drones ready to launch.`;
         }
+        return `${command.count} drones from the next start or reset.`;
       }
+      case 'query':
+        return answer_query(command.topic, simulation_context(sim));
+      default:
+        return `I can't do ${command.action} yet.`;
     }
-
-    return [extinguished_count, this.omega, this.phi_p, this.phi_g, 0, 0];
-  }
-}
-
-const FireSuppressionSimulation = () => {
-  const gridRef = useRef(null);
-  const [omega, setOmega] = useState(0.7);
-  const [phiP, setPhiP] = useState(1.5);
-  const [phiG, setPhiG] = useState(1.5);
-  const [running, setRunning] = useState(false);
-  const [step, setStep] = useState(0);
-  const [stats, setStats] = useState({
-    fires: 0,
-    extinguished: 0,
-    saved: 0,
-    burnt: 0,
-    elapsed_time: 0
-  });
-  const simRef = useRef(null);
-  const envRef = useRef(null);
-  const stepCountRef = useRef(0);
-  const simTimeRef = useRef([0]);
-  const totalExtinguishedRef = useRef(0);
-
-  const initSim = () => {
-    const env = new Environment(40, 20);
-    env.add_water_blobs(3);
-    for (let i = 0; i < 5; i++) {
-      const x = Math.floor(Math.random() * (env.width / 3)) + Math.floor(env.width / 3);
-      const y = Math.floor(Math.random() * (env.height / 3)) + Math.floor(env.height / 3);
-      env.ignite(x, y);
+  };
+  runCommandRef.current = runCommand;
+
+  const assistant = () =>
+    assistantRef.current || (assistantRef.current = new AssistantClient({ get_context: () => simulation_context(simRef.current) }));
+
+  const addEvaLine = (from, text) => setEvaLog((log) => [...log, { from, text }].slice(-EVA_LOG_SIZE));
+
+  // Typed or spoken text: a command when the rules (or the server's model)
+  // recognise one, otherwise a question for EVA's chat. Every answer is spoken.
+  const handleUtterance = async (text) => {
+    addEvaLine('you', text);
+    let reply;
+    try {
+      const command = await assistant().command(text);
+      if (command) reply = runCommandRef.current(command);
+    } catch (err) {
+      reply = err.message;
     }
-
-    envRef.current = env;
-    simRef.current = null;
-    stepCountRef.current = 0;
-    simTimeRef.current = [0];
-    totalExtinguishedRef.current = 0;
-    setStep(0);
-    updateStats(env, 0, 0);
-    render(env, []);
+    if (reply === undefined) {
+      try {
+        reply = await assistant().ask(text);
+      } catch {
+        reply = "That isn't a command I know and I can't reach the chat server. Try \"start\", \"set inertia to 0.5\" or \"ignite at 12, 8\".";
+      }
+    }
+    addEvaLine('eva', reply);
+    speak(reply);
   };
 
-  const updateStats = (env, extCount, elapsed) => {
-    const [saved, burnt] = env.count_trees();
-    setStats({
-      fires: env.active_fires.length,
-      extinguished: extCount,
-      saved,
-      burnt,
-      elapsed_time: elapsed
+  const toggleListening = () => {
+    if (stopListeningRef.current) {
+      stopListeningRef.current();
+      return;
+    }
+    stopListeningRef.current = listen({
+      on_result: handleUtterance,
+      on_error: (error) => addEvaLine('eva', `Speech recognition error: ${error}`),
+      on_end: () => {
+        stopListeningRef.current = null;
+        setListening(false);
+      }
     });
+    setListening(Boolean(stopListeningRef.current));
+  };
+
+  const selectDrone = (pane, renderer) => (clientX, clientY) => {
+    if (replayRef.current) return;
+    const index = renderer.drone_at(clientX, clientY);
+    setSelectedDrone(index === null ? null : { pane, index });
   };
 
-  const render = (env, drones_pos) => {
-    const grid = gridRef.current;
-    if (!grid) return;
+  useEffect(() => {
+    const renderer = new GridRenderer(canvasRef.current);
+    const rendererB = new GridRenderer(canvasBRef.current);
+    rendererRef.current = renderer;
+    rendererBRef.current = rendererB;
+    const detach = renderer.attach();
+    const detachB = rendererB.attach();
+    renderer.on_click = selectDrone('a', renderer);
+    rendererB.on_click = selectDrone('b', rendererB);
+    // Either pane can be edited; edits go to every pane so they keep sharing one fire.
+    editorsRef.current = [renderer, rendererB].map(
+      (target) =>
+        new MapEditor(target, {
+          targets: () => [simRef.current, simBRef.current].filter(Boolean),
+          on_change: mapChanged,
+          on_wind: setWindDirection
+        })
+    );
+    // Build a map straight away so it can be edited before the first start.
+    if (simRef.current) render(simRef.current);
+    else initSim();
+    return () => {
+      detach();
+      detachB();
+      editorsRef.current = [];
+      rendererRef.current = null;
+      rendererBRef.current = null;
+    };
+  }, []);
 
-    let html = '';
-    for (let y = 0; y < env.height; y++) {
-      let row = '';
-      for (let x = 0; x < env.width; x++) {
-        const cell = env.grid[y][x];
-        let emoji = cell.display();
+  useEffect(() => {
+    for (const editor of editorsRef.current) editor.set_tool(editTool);
+  }, [editTool]);
 
-        const hasDrone = drones_pos.some(([dx, dy]) => dx === x && dy === y);
-        if (hasDrone) emoji = '🚁';
+  useEffect(() => {
+    rendererRef.current.selected = selectedDrone && selectedDrone.pane === 'a' ? selectedDrone.index : null;
+    rendererBRef.current.selected = selectedDrone && selectedDrone.pane === 'b' ? selectedDrone.index : null;
+    rendererRef.current.request_redraw();
+    rendererBRef.current.request_redraw();
+  }, [selectedDrone]);
 
-        row += `<span class="inline-block w-8">${emoji}</span>`;
-      }
-      html += `<div class="leading-none">${row}</div>`;
+  useEffect(() => {
+    for (const renderer of [rendererRef.current, rendererBRef.current]) {
+      if (!renderer) continue;
+      renderer.show_elevation = showElevation;
+      renderer.show_velocities = showVelocities;
+      renderer.show_forecast = showForecast;
+      renderer.show_belief = showBelief;
     }
+    if (simRef.current) render(simRef.current);
+  }, [showElevation, showVelocities, showForecast, showBelief]);
 
-    grid.innerHTML = html;
+  useEffect(() => {
+    for (const sim of [simRef.current, simBRef.current]) {
+      if (sim) sim.set_wind({ direction: windDirection, speed: windSpeed });
+    }
+    if (simRef.current && !running) render(simRef.current);
+  }, [windDirection, windSpeed]);
+
+  const loadScenarioFile = async (file) => {
+    const name = file.name.replace(/\.[^.]+$/, '');
+    let loaded;
+    if (/\.json$/i.test(file.name)) {
+      loaded = parse_scenario_json(await read_text_file(file));
+    } else if (/\.(asc|txt)$/i.test(file.name)) {
+      const grid = parse_ascii_grid(await read_text_file(file));
+      loaded = scenario_from_elevation(grid.elevation, { name, cell_size: grid.cellsize });
+    } else if (file.type.startsWith('image/')) {
+      loaded = scenario_from_elevation(elevation_from_image_data(await read_image_data(file)), { name });
+    } else {
+      throw new Error('Unsupported file: use a scenario .json, an ESRI .asc grid or a grayscale image');
+    }
+    return { ...loaded, name: loaded.name || name };
   };
 
-  const step_sim = () => {
-    if (!envRef.current) return;
-    const env = envRef.current;
-
-    env.spread_fire();
-
-    if (stepCountRef.current === 10) {
-      const swarm = new DroneSwarm(env, 20);
-      swarm.omega = omega;
-      swarm.phi_p = phiP;
-      swarm.phi_g = phiG;
-      simRef.current = swarm;
-      simTimeRef.current = [0];
+  const onScenarioSelected = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const loaded = await loadScenarioFile(file);
+      const opts = loaded.options || {};
+      const scenarioParams = {};
+      for (const key of ['omega', 'phi_p', 'phi_g']) if (typeof opts[key] === 'number') scenarioParams[key] = opts[key];
+      setParams((p) => ({ ...p, ...scenarioParams }));
+      const fleetCounts = { ...fleet };
+      if (Array.isArray(opts.fleet)) {
+        for (const type of Object.keys(fleetCounts)) fleetCounts[type] = 0;
+        for (const { type, count } of opts.fleet) if (type in fleetCounts) fleetCounts[type] += count;
+      }
+      const launchSite = opts.launch || launch;
+      const refill = opts.refill_policy || refillPolicy;
+      const runUnits = { ...units, ...(opts.units || {}) };
+      const deploy = { ...deployment };
+      for (const key of Object.keys(DEFAULT_DEPLOYMENT)) if (typeof opts[key] === 'number') deploy[key] = opts[key];
+      const runSensing = opts.sensing ? { ...DEFAULT_SENSING, ...opts.sensing, enabled: true } : { ...sensing, enabled: false };
+      setFleet(fleetCounts);
+      setLaunch(launchSite);
+      setDeployment(deploy);
+      setSensing(runSensing);
+      setRefillPolicy(refill);
+      setUnits(runUnits);
+      setScenario(loaded);
+      setScenarioError(null);
+      setRunning(false);
+      initSim(loaded, { fleetCounts, launchSite, refill, runUnits, deploy, runSensing });
+    } catch (err) {
+      setScenarioError(err.message);
     }
+  };
 
-    if (simRef.current) {
-      const swarm = simRef.current;
-      swarm.omega = omega;
-      swarm.phi_p = phiP;
-      swarm.phi_g = phiG;
+  const exportScenario = () => {
+    const sim = simRef.current;
+    if (!sim) return;
+    const data = sim.export_scenario();
+    download_file(`${data.name}.json`, JSON.stringify(data));
+  };
 
-      const [extinguished, w, pp, pg, div, rew] = swarm.step(stepCountRef.current, simTimeRef.current);
-      totalExtinguishedRef.current += extinguished;
-      const drones_pos = swarm.positions.map(p => [Math.floor(p[0]), Math.floor(p[1])]);
-      render(env, drones_pos);
-    } else {
-      render(env, []);
-    }
+  const downloadHistory = (format) => {
+    const sim = simRef.current;
+    if (!sim) return;
+    const name = `run-${sim.seed}`;
+    if (format === 'csv') download_file(`${name}.csv`, sim.history.to_csv(), 'text/csv');
+    else download_file(`${name}.json`, sim.history.to_json(sim.summary()));
+  };
 
-    if (stepCountRef.current % 15 === 0 && Math.random() < 0.3) {
-      const x = Math.floor(Math.random() * env.width);
-      const y = Math.floor(Math.random() * env.height);
-      env.ignite(x, y);
+  // Stats, charts and the recording follow pane A in comparison mode.
+  const downloadReplay = () => {
+    const recorder = recorderRef.current;
+    if (!recorder) return;
+    download_file(`${recorder.name}.replay.json`, JSON.stringify(recorder.to_json()));
+  };
+
+  const openReplay = (data) => {
+    const player = new ReplayPlayer(data);
+    setRunning(false);
+    setEditTool(null);
+    setSelectedDrone(null);
+    replayRef.current = player;
+    setReplay(player);
+    setReplayFrame(0);
+    setReplayPlaying(false);
+    setReplayError(null);
+    render(simRef.current);
+  };
+
+  const onReplaySelected = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      openReplay(parse_replay_json(await read_text_file(file)));
+    } catch (err) {
+      setReplayError(err.message);
     }
+  };
 
-    stepCountRef.current++;
-    setStep(stepCountRef.current);
-    updateStats(env, totalExtinguishedRef.current, simTimeRef.current[0]);
+  const closeReplay = () => {
+    replayRef.current = null;
+    setReplay(null);
+    setReplayPlaying(false);
+    render(simRef.current);
+  };
 
-    if (env.active_fires.length === 0 && stepCountRef.current > 20) {
-      setRunning(false);
+  const showReplayFrame = (index) => {
+    const player = replayRef.current;
+    player.seek(index);
+    setReplayFrame(player.index);
+    render(simRef.current);
+    return player.index === player.frame_count - 1;
+  };
+
+  // Exports the replay being viewed, or else the current run's recording.
+  // A separate player is used so the viewer keeps its place.
+  const exportVideo = async (format) => {
+    const data = replayRef.current ? replayRef.current.data : recorderRef.current.to_json();
+    const player = new ReplayPlayer(data);
+    const options = { show_elevation: showElevation, show_velocities: showVelocities };
+    setExporting({ format, progress: 0 });
+    setReplayError(null);
+    try {
+      const on_progress = (progress) => setExporting({ format, progress });
+      const blob = format === 'gif'
+        ? await export_replay_gif(player, { ...options, on_progress })
+        : await export_replay_webm(player, { ...options, on_progress });
+      download_file(`${data.name}.${format}`, blob);
+    } catch (err) {
+      setReplayError(err.message);
+    } finally {
+      setExporting(null);
     }
   };
 
+  const clearScenario = () => {
+    setScenario(null);
+    setScenarioError(null);
+    setRunning(false);
+    initSim(null);
+  };
+
+  const selectFireModel = (name) => {
+    setFireModel(name);
+    setWindSpeed(FIRE_PRESETS[name].wind.speed);
+  };
+
   useEffect(() => {
     if (!running) return;
-    const int = setInterval(step_sim, 200);
+    if (speed === 'max') {
+      // Step for most of each frame, then draw once.
+      let frame;
+      const tick = () => {
+        const start = performance.now();
+        let done = false;
+        while (!done && performance.now() - start < 12) done = advance();
+        refresh();
+        if (done) {
+          setRunning(false);
+          setFinished(true);
+          return;
+        }
+        frame = requestAnimationFrame(tick);
+      };
+      frame = requestAnimationFrame(tick);
+      return () => cancelAnimationFrame(frame);
+    }
+    const int = setInterval(step_sim, STEP_INTERVAL / speed);
     return () => clearInterval(int);
-  }, [running, omega, phiP, phiG]);
+  }, [running, speed, params, paramsB]);
+
+  // Going live again leaves the viewer.
+  useEffect(() => {
+    if (running && replayRef.current) closeReplay();
+  }, [running]);
+
+  useEffect(() => {
+    if (!replayPlaying) return;
+    const int = setInterval(() => {
+      if (showReplayFrame(replayRef.current.index + 1)) setReplayPlaying(false);
+    }, speed === 'max' ? 16 : STEP_INTERVAL / speed);
+    return () => clearInterval(int);
+  }, [replayPlaying, speed]);
+
+  const inspectedSim = selectedDrone ? (selectedDrone.pane === 'a' ? simRef.current : simBRef.current) : null;
+  const inspected = inspectedSim && inspectedSim.swarm && selectedDrone.index < inspectedSim.swarm.num_drones
+    ? { swarm: inspectedSim.swarm, i: selectedDrone.index }
+    : null;
 
   return (
     <div className="relative py-24 px-6 bg-slate-900">
@@ -439,74 +922,430 @@ const FireSuppressionSimulation = () => {
         <div className="relative bg-gradient-to-br from-slate-800 to-slate-900 rounded-3xl border-2 border-slate-700 overflow-hidden shadow-2xl">
           <div className="absolute top-0 left-0 right-0 h-1 bg-gradient-to-r from-orange-500 via-red-500 to-purple-500"></div>
 
-          <div className="relative w-full h-[600px] bg-black p-6 overflow-auto flex items-start justify-center">
-            <div ref={gridRef} className="font-mono text-center leading-none text-xl whitespace-nowrap" style={{fontFamily: 'monospace', letterSpacing: '-0.3em'}} />
+          <div className={`relative w-full h-[600px] bg-black grid gap-1 ${compare && !replay ? 'grid-cols-2' : 'grid-cols-1'}`}>
+            <div className="relative min-w-0">
+              <canvas ref={canvasRef} className={`w-full h-full block touch-none ${editTool ? 'cursor-crosshair' : 'cursor-grab active:cursor-grabbing'}`} />
+              {compare && !replay && <span className="absolute top-3 left-3 px-2 py-1 bg-slate-900/70 rounded text-xs text-cyan-300">A</span>}
+              {replay && (
+                <span className="absolute top-3 left-3 px-2 py-1 bg-slate-900/70 rounded text-xs text-pink-300">
+                  Replay: {replay.name} · step {replay.frame.step}
+                </span>
+              )}
+            </div>
+            <div className={`relative min-w-0 ${compare && !replay ? '' : 'hidden'}`}>
+              <canvas ref={canvasBRef} className={`w-full h-full block touch-none ${editTool ? 'cursor-crosshair' : 'cursor-grab active:cursor-grabbing'}`} />
+              <span className="absolute top-3 left-3 px-2 py-1 bg-slate-900/70 rounded text-xs text-cyan-300">B</span>
+            </div>
+            <div className="absolute bottom-3 left-3 flex gap-3 px-3 py-2 bg-slate-900/70 rounded-lg text-xs text-gray-300">
+              <label className="flex items-center gap-1 cursor-pointer">
+                <input type="checkbox" checked={showElevation} onChange={(e) => setShowElevation(e.target.checked)} />
+                Elevation
+              </label>
+              <label className="flex items-center gap-1 cursor-pointer">
+                <input type="checkbox" checked={showVelocities} onChange={(e) => setShowVelocities(e.target.checked)} />
+                Velocities
+              </label>
+              <label className="flex items-center gap-1 cursor-pointer" title={`Chance each cell catches fire in the next ${DEFAULT_FORECAST.horizon} steps, from Monte-Carlo runs of the spread`}>
+                <input type="checkbox" checked={showForecast} disabled={!!replay} onChange={(e) => setShowForecast(e.target.checked)} />
+                Forecast
+              </label>
+              <label className="flex items-center gap-1 cursor-pointer" title="Draw the map as the drones know it instead of the ground truth">
+                <input
+                  type="checkbox"
+                  checked={showBelief}
+                  disabled={!!replay || !simRef.current?.sensing}
+                  onChange={(e) => setShowBelief(e.target.checked)}
+                />
+                Drones' view
+              </label>
+              <span className="text-gray-500">
+                {editTool ? 'Drag to edit · Shift-drag to pan' : 'Scroll to zoom · drag to pan · double-click to fit · click a drone to inspect'}
+              </span>
+            </div>
+            {inspected && (
+              <div className="absolute top-12 left-3 px-3 py-2 bg-slate-900/80 rounded-lg text-xs text-gray-300 space-y-0.5">
+                <div className="flex items-center justify-between gap-4 text-pink-300 font-semibold">
+                  <span>
+                    Drone {inspected.i + 1} · {DRONE_TYPES[inspected.swarm.type_names[inspected.i]].label}
+                    {compare && ` · pane ${selectedDrone.pane.toUpperCase()}`}
+                  </span>
+                  <button onClick={() => setSelectedDrone(null)} className="text-gray-400 hover:text-gray-200">✕</button>
+                </div>
+                <div>Mode: {inspected.swarm.mode[inspected.i]}</div>
+                <div>Position: ({inspected.swarm.positions[inspected.i].map((v) => v.toFixed(2)).join(', ')})</div>
+                <div>Velocity: ({inspected.swarm.velocities[inspected.i].map((v) => v.toFixed(2)).join(', ')})</div>
+                <div>
+                  pbest: ({inspected.swarm.pbest_positions[inspected.i].map((v) => v.toFixed(2)).join(', ')}) ={' '}
+                  {inspected.swarm.pbest_values[inspected.i].toFixed(1)}
+                </div>
+                <div>
+                  Water: {inspected.swarm.water_left[inspected.i]} / {inspected.swarm.types[inspected.i].water_capacity}
+                </div>
+                <div>
+                  Refill timer: {inspected.swarm.refill_timers[inspected.i]} / {inspected.swarm.types[inspected.i].refill_time}
+                </div>
+                <div>
+                  Battery: {((inspected.swarm.battery[inspected.i] / inspected.swarm.types[inspected.i].battery_capacity) * 100).toFixed(0)}%
+                </div>
+              </div>
+            )}
+            <div className={`absolute bottom-3 right-3 flex flex-wrap justify-end gap-1 px-2 py-2 bg-slate-900/70 rounded-lg text-xs ${replay ? 'hidden' : ''}`}>
+              {Object.entries(EDIT_TOOLS).map(([tool, label]) => (
+                <button
+                  key={tool}
+                  onClick={() => setEditTool(editTool === tool ? null : tool)}
+                  className={`px-2 py-1 rounded ${editTool === tool ? 'bg-cyan-600 text-white' : 'bg-slate-800 text-gray-300 hover:bg-slate-700'}`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
           </div>
 
           <div className="border-t border-slate-700 bg-slate-900/50 backdrop-blur-sm p-6">
+            <div className="flex items-center gap-3 mb-4 text-sm text-gray-300">
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input type="checkbox" checked={compare} onChange={(e) => setCompare(e.target.checked)} />
+                Compare two configurations on the same fire
+              </label>
+              <span className="text-xs text-gray-500">Applies from the next start or reset.</span>
+            </div>
+
+            {compare ? (
+              <div className="grid lg:grid-cols-2 gap-6">
+                <ParameterPanel title="Pane A" params={params} onChange={setParams} live={stats.live} />
+                <ParameterPanel title="Pane B" params={paramsB} onChange={setParamsB} suffix="B" live={stats.liveB} />
+              </div>
+            ) : (
+              <ParameterPanel params={params} onChange={setParams} live={stats.live} />
+            )}
+
             <div className="grid md:grid-cols-3 gap-6 mb-6">
+              <div className="bg-slate-800/50 p-4 rounded-lg">
+                <label htmlFor="fireModelSelect" className="block text-sm font-semibold text-gray-300 mb-2">
+                  Fire Spread Model
+                </label>
+                <select
+                  id="fireModelSelect"
+                  value={fireModel}
+                  onChange={(e) => selectFireModel(e.target.value)}
+                  className="w-full px-2 py-1 bg-slate-900 border border-slate-700 rounded text-sm text-gray-200"
+                >
+                  <option value="simple">Simple (original)</option>
+                  <option value="realistic">Realistic (fuel, moisture, slope)</option>
+                </select>
+                <label className="flex items-center gap-2 mt-3 text-xs text-gray-400 cursor-pointer">
+                  <input type="checkbox" checked={variableWind} disabled={fireModel === 'simple'} onChange={(e) => setVariableWind(e.target.checked)} />
+                  Shifting wind and gusts
+                </label>
+                <div className="text-xs text-gray-500 mt-1">Applies from the next start or reset</div>
+              </div>
+
+              <div className="bg-slate-800/50 p-4 rounded-lg">
+                <label className="block text-sm font-semibold text-gray-300 mb-2">
+                  Wind Direction: <span className="text-sky-400">{windDirection}°</span>
+                </label>
+                <input
+                  type="range"
+                  min="0"
+                  max={fireModel === 'simple' ? 315 : 355}
+                  step={fireModel === 'simple' ? 45 : 5}
+                  value={windDirection}
+                  onChange={(e) => setWindDirection(parseInt(e.target.value, 10))}
+                  className="w-full h-2 bg-slate-700 rounded-lg appearance-none cursor-pointer accent-sky-500"
+                />
+                <div className="flex justify-between text-xs text-gray-500 mt-1">
+                  <span>0° (east)</span>
+                  <span>90° (south)</span>
+                  <span>180° (west)</span>
+                </div>
+              </div>
+
               <div className="bg-slate-800/50 p-4 rounded-lg">
                 <label className="block text-sm font-semibold text-gray-300 mb-2">
-                  Omega (ω) - Inertia: <span id="omegaValue" className="text-orange-400">{omega.toFixed(1)}</span>
+                  Wind Speed: <span className="text-sky-400">{windSpeed.toFixed(1)} m/s</span>
                 </label>
                 <input
                   type="range"
-                  min="0.1"
-                  max="1.0"
-                  step="0.1"
-                  value={omega}
-                  onChange={(e) => setOmega(parseFloat(e.target.value))}
-                  className="w-full h-2 bg-slate-700 rounded-lg appearance-none cursor-pointer accent-orange-500"
+                  min="0"
+                  max="15"
+                  step="0.5"
+                  value={windSpeed}
+                  disabled={fireModel === 'simple'}
+                  onChange={(e) => setWindSpeed(parseFloat(e.target.value))}
+                  className="w-full h-2 bg-slate-700 rounded-lg appearance-none cursor-pointer accent-sky-500"
                 />
                 <div className="flex justify-between text-xs text-gray-500 mt-1">
-                  <span>0.1</span>
-                  <span>1.0</span>
+                  <span>0</span>
+                  <span>15</span>
+                </div>
+              </div>
+            </div>
+
+            <div className="grid md:grid-cols-3 gap-6 mb-6">
+              <div className="bg-slate-800/50 p-4 rounded-lg">
+                <label htmlFor="terrainSelect" className="block text-sm font-semibold text-gray-300 mb-2">
+                  Terrain
+                </label>
+                <select
+                  id="terrainSelect"
+                  value={terrainMode}
+                  onChange={(e) => setTerrainMode(e.target.value)}
+                  className="w-full px-2 py-1 bg-slate-900 border border-slate-700 rounded text-sm text-gray-200"
+                >
+                  <option value="random">Random per cell (original)</option>
+                  <option value="procedural">Procedural hills, lakes and rivers</option>
+                </select>
+                <div className="text-xs text-gray-500 mt-2">
+                  Procedural water also applies to loaded heightmaps. Applies from the next start or reset.
                 </div>
               </div>
 
               <div className="bg-slate-800/50 p-4 rounded-lg">
                 <label className="block text-sm font-semibold text-gray-300 mb-2">
-                  Phi P (φₚ) - Personal: <span id="phipValue" className="text-blue-400">{phiP.toFixed(1)}</span>
+                  Roughness: <span className="text-amber-400">{roughness.toFixed(2)}</span>
                 </label>
                 <input
                   type="range"
-                  min="0.5"
-                  max="3.0"
-                  step="0.1"
-                  value={phiP}
-                  onChange={(e) => setPhiP(parseFloat(e.target.value))}
-                  className="w-full h-2 bg-slate-700 rounded-lg appearance-none cursor-pointer accent-blue-500"
+                  min="0.2"
+                  max="0.8"
+                  step="0.05"
+                  value={roughness}
+                  disabled={terrainMode !== 'procedural'}
+                  onChange={(e) => setRoughness(parseFloat(e.target.value))}
+                  className="w-full h-2 bg-slate-700 rounded-lg appearance-none cursor-pointer accent-amber-500"
                 />
                 <div className="flex justify-between text-xs text-gray-500 mt-1">
-                  <span>0.5</span>
-                  <span>3.0</span>
+                  <span>Rolling</span>
+                  <span>Rugged</span>
                 </div>
               </div>
 
               <div className="bg-slate-800/50 p-4 rounded-lg">
                 <label className="block text-sm font-semibold text-gray-300 mb-2">
-                  Phi G (φᵍ) - Global: <span id="phigValue" className="text-purple-400">{phiG.toFixed(1)}</span>
+                  River catchment: <span className="text-sky-400">{riverCatchment}% of map</span>
                 </label>
                 <input
                   type="range"
-                  min="0.5"
-                  max="3.0"
-                  step="0.1"
-                  value={phiG}
-                  onChange={(e) => setPhiG(parseFloat(e.target.value))}
-                  className="w-full h-2 bg-slate-700 rounded-lg appearance-none cursor-pointer accent-purple-500"
+                  min="1"
+                  max="10"
+                  step="1"
+                  value={riverCatchment}
+                  disabled={terrainMode !== 'procedural'}
+                  onChange={(e) => setRiverCatchment(parseInt(e.target.value, 10))}
+                  className="w-full h-2 bg-slate-700 rounded-lg appearance-none cursor-pointer accent-sky-500"
                 />
                 <div className="flex justify-between text-xs text-gray-500 mt-1">
-                  <span>0.5</span>
-                  <span>3.0</span>
+                  <span>More rivers</span>
+                  <span>Fewer rivers</span>
                 </div>
               </div>
             </div>
 
+            <div className="grid md:grid-cols-3 gap-6 mb-6">
+              <div className="bg-slate-800/50 p-4 rounded-lg md:col-span-2">
+                <div className="block text-sm font-semibold text-gray-300 mb-2">
+                  Fleet: <span className="text-cyan-400">{Object.values(fleet).reduce((a, b) => a + b, 0)} drones</span>
+                </div>
+                <div className="grid grid-cols-3 gap-3">
+                  {Object.entries(DRONE_TYPES).map(([type, spec]) => (
+                    <label key={type} className="text-xs text-gray-400">
+                      {spec.label}
+                      <input
+                        type="number"
+                        min="0"
+                        max="100"
+                        value={fleet[type]}
+                        onChange={(e) => setFleet({ ...fleet, [type]: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+                        className="block w-full mt-1 px-2 py-1 bg-slate-900 border border-slate-700 rounded text-sm text-gray-200"
+                      />
+                      <span className="block mt-1 text-gray-500">
+                        {formatValue(droneFigures(spec, units).speed)} m/s · {spec.water_capacity} water · refill {droneFigures(spec, units).refill}s
+                      </span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              <div className="bg-slate-800/50 p-4 rounded-lg">
+                <label htmlFor="launchSelect" className="block text-sm font-semibold text-gray-300 mb-2">
+                  Launch
+                </label>
+                <select
+                  id="launchSelect"
+                  value={launch}
+                  onChange={(e) => setLaunch(e.target.value)}
+                  className="w-full px-2 py-1 bg-slate-900 border border-slate-700 rounded text-sm text-gray-200"
+                >
+                  {Object.entries(LAUNCH_SITES).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+                <label htmlFor="refillSelect" className="block text-sm font-semibold text-gray-300 mt-3 mb-2">
+                  Refill
+                </label>
+                <select
+                  id="refillSelect"
+                  value={refillPolicy}
+                  onChange={(e) => setRefillPolicy(e.target.value)}
+                  className="w-full px-2 py-1 bg-slate-900 border border-slate-700 rounded text-sm text-gray-200"
+                >
+                  <option value="least_congested">Least congested water</option>
+                  <option value="nearest">Nearest water</option>
+                  <option value="passive">Only when passing water (original)</option>
+                </select>
+                <div className="text-xs text-gray-500 mt-2">
+                  Drones fly home to recharge and reload when their battery runs low. Applies from the next start or reset.
+                </div>
+              </div>
+            </div>
+
+            <div className="bg-slate-800/50 p-4 rounded-lg mb-6">
+              <div className="block text-sm font-semibold text-gray-300 mb-2">
+                Units: <span className="text-cyan-400">{formatValue(units.cell_size)} m cells · {formatValue(units.step_seconds)} s steps</span>
+              </div>
+              <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+                {UNIT_FIELDS.map(([key, label]) => (
+                  <label key={key} className="text-xs text-gray-400">
+                    {label}
+                    <input
+                      type="number"
+                      min="0.1"
+                      step="any"
+                      value={units[key]}
+                      onChange={(e) => {
+                        const value = parseFloat(e.target.value);
+                        if (value > 0) setUnits({ ...units, [key]: value });
+                      }}
+                      className="block w-full mt-1 px-2 py-1 bg-slate-900 border border-slate-700 rounded text-sm text-gray-200"
+                    />
+                  </label>
+                ))}
+              </div>
+              <div className="text-xs text-gray-500 mt-2">
+                Fire spread is calibrated per step, so the step length sets how fast it burns in minutes. Applies from the next start or reset.
+              </div>
+            </div>
+
+            <div className="bg-slate-800/50 p-4 rounded-lg mb-6">
+              <div className="block text-sm font-semibold text-gray-300 mb-2">
+                Deployment:{' '}
+                <span className="text-cyan-400">
+                  step {deployment.deploy_step} ({formatValue(steps_to_minutes(deployment.deploy_step, units))} min)
+                  {deployment.waves > 1 && ` in ${deployment.waves} waves ${deployment.wave_interval} steps apart`}
+                </span>
+              </div>
+              <div className="grid grid-cols-2 md:grid-cols-5 gap-3 items-end">
+                {DEPLOYMENT_FIELDS.map(([key, label, min]) => (
+                  <label key={key} className="text-xs text-gray-400">
+                    {label}
+                    <input
+                      type="number"
+                      min={min}
+                      step="1"
+                      value={deployment[key]}
+                      onChange={(e) => {
+                        const value = parseInt(e.target.value, 10);
+                        if (value >= min) setDeployment({ ...deployment, [key]: value });
+                      }}
+                      className="block w-full mt-1 px-2 py-1 bg-slate-900 border border-slate-700 rounded text-sm text-gray-200"
+                    />
+                  </label>
+                ))}
+                <label className="text-xs text-gray-400">
+                  Reinforcements
+                  <div className="flex gap-1 mt-1">
+                    <input
+                      type="number"
+                      min="1"
+                      max="100"
+                      value={reinforcement.count}
+                      onChange={(e) => setReinforcement({ ...reinforcement, count: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+                      className="w-16 px-2 py-1 bg-slate-900 border border-slate-700 rounded text-sm text-gray-200"
+                    />
+                    <select
+                      value={reinforcement.type}
+                      onChange={(e) => setReinforcement({ ...reinforcement, type: e.target.value })}
+                      className="flex-1 px-2 py-1 bg-slate-900 border border-slate-700 rounded text-sm text-gray-200"
+                    >
+                      {Object.entries(DRONE_TYPES).map(([type, spec]) => (
+                        <option key={type} value={type}>{spec.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                </label>
+                <button
+                  onClick={() => dispatchDrones({ [reinforcement.type]: reinforcement.count })}
+                  disabled={step === 0 || finished || replay !== null}
+                  className="px-3 py-1 bg-cyan-700 hover:bg-cyan-600 rounded text-sm disabled:opacity-50"
+                >
+                  🚁 Dispatch
+                </button>
+              </div>
+              <div className="text-xs text-gray-500 mt-2">
+                Waves split the fleet evenly. Deployment applies from the next start or reset; reinforcements take off from the launch site on the next step of the current run.
+              </div>
+            </div>
+
+            <div className="bg-slate-800/50 p-4 rounded-lg mb-6">
+              <label className="flex items-center gap-2 text-sm font-semibold text-gray-300 mb-2 cursor-pointer">
+                <input type="checkbox" checked={sensing.enabled} onChange={(e) => setSensing({ ...sensing, enabled: e.target.checked })} />
+                Limited sensing:{' '}
+                <span className="text-cyan-400">{sensing.enabled ? 'drones know only what they and their radio group have seen' : 'off, every drone sees the whole map'}</span>
+              </label>
+              <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+                {SENSING_FIELDS.map(([key, label, min]) => (
+                  <label key={key} className="text-xs text-gray-400">
+                    {label}
+                    <input
+                      type="number"
+                      min={min}
+                      step="any"
+                      value={sensing[key] ?? ''}
+                      placeholder="unlimited"
+                      disabled={!sensing.enabled}
+                      onChange={(e) => {
+                        if (key === 'comm_range' && e.target.value === '') {
+                          setSensing({ ...sensing, comm_range: null });
+                          return;
+                        }
+                        const value = parseFloat(e.target.value);
+                        if (value >= min) setSensing({ ...sensing, [key]: value });
+                      }}
+                      className="block w-full mt-1 px-2 py-1 bg-slate-900 border border-slate-700 rounded text-sm text-gray-200 disabled:opacity-50"
+                    />
+                  </label>
+                ))}
+              </div>
+              <div className="text-xs text-gray-500 mt-2">
+                Drones pool their maps and share their best find only with drones in radio range, directly or by relay; leave the range empty for unlimited. Applies from the next start or reset.
+              </div>
+            </div>
+
             <div className="flex flex-wrap gap-4 justify-center items-center">
+              <div className="flex items-center gap-2 px-4 py-2 bg-slate-800 rounded-lg">
+                <label htmlFor="seedInput" className="text-sm text-gray-400">Seed:</label>
+                <input
+                  id="seedInput"
+                  type="text"
+                  value={seed}
+                  placeholder="random"
+                  onChange={(e) => setSeed(e.target.value)}
+                  className="w-32 px-2 py-1 bg-slate-900 border border-slate-700 rounded text-sm text-gray-200"
+                />
+                {activeSeed !== null && activeSeed !== seed.trim() && (
+                  <button
+                    onClick={() => setSeed(activeSeed)}
+                    title="Reuse the seed of the current run"
+                    className="text-xs text-cyan-400 hover:text-cyan-300"
+                  >
+                    use {activeSeed}
+                  </button>
+                )}
+              </div>
               <button
                 onClick={() => {
-                  initSim();
+                  if (!mapEditedRef.current || finished) initSim();
                   setRunning(true);
                 }}
                 className="px-6 py-3 bg-gradient-to-r from-green-500 to-emerald-600 rounded-lg font-semibold hover:from-green-600 hover:to-emerald-700 transition-all duration-300 shadow-lg shadow-green-500/25"
@@ -514,10 +1353,22 @@ const FireSuppressionSimulation = () => {
                 Start Simulation
               </button>
               <button
-                onClick={() => setRunning(false)}
-                className="px-6 py-3 bg-gradient-to-r from-red-500 to-orange-600 rounded-lg font-semibold hover:from-red-600 hover:to-orange-700 transition-all duration-300 shadow-lg shadow-red-500/25"
+                onClick={() => setRunning(!running)}
+                disabled={!running && (finished || step === 0)}
+                className="px-6 py-3 bg-gradient-to-r from-red-500 to-orange-600 rounded-lg font-semibold hover:from-red-600 hover:to-orange-700 transition-all duration-300 shadow-lg shadow-red-500/25 disabled:opacity-50"
+              >
+                {running ? 'Pause' : 'Resume'}
+              </button>
+              <button
+                onClick={() => {
+                  if (replayRef.current) closeReplay();
+                  step_sim();
+                }}
+                disabled={running || finished}
+                title="Advance one step"
+                className="px-4 py-3 bg-slate-700 hover:bg-slate-600 rounded-lg font-semibold transition-all duration-300 disabled:opacity-50"
               >
-                Stop
+                Step ▸
               </button>
               <button
                 onClick={() => {
@@ -528,8 +1379,115 @@ const FireSuppressionSimulation = () => {
               >
                 Reset
               </button>
+              <label className="flex items-center gap-2 text-sm text-gray-300">
+                Speed
+                <select
+                  value={String(speed)}
+                  onChange={(e) => setSpeed(e.target.value === 'max' ? 'max' : Number(e.target.value))}
+                  className="px-2 py-1 bg-slate-900 border border-slate-700 rounded text-sm text-gray-200"
+                >
+                  {SPEEDS.map((value) => (
+                    <option key={value} value={String(value)}>{value === 'max' ? 'Max' : `${value}×`}</option>
+                  ))}
+                </select>
+              </label>
             </div>
 
+            <div className="flex items-center gap-3 mt-4 text-sm text-gray-400">
+              <span>Timeline</span>
+              <input
+                type="range"
+                min={earliestStep}
+                max={latestStep}
+                step="1"
+                value={Math.min(Math.max(step, earliestStep), latestStep)}
+                disabled={latestStep === earliestStep}
+                onChange={(e) => scrubTo(parseInt(e.target.value, 10))}
+                className="flex-1 h-2 bg-slate-700 rounded-lg appearance-none cursor-pointer accent-cyan-500 disabled:opacity-50"
+              />
+              <span className="w-24 text-right text-gray-300">
+                {step} / {latestStep}
+              </span>
+            </div>
+
+            <div className="flex flex-wrap gap-3 justify-center items-center mt-4 text-sm">
+              <span className="text-gray-400">
+                Map: <span className="text-gray-200">{scenario ? `${scenario.name} (${scenario.width}×${scenario.height})` : 'Random 40×20'}</span>
+              </span>
+              <input
+                ref={scenarioInputRef}
+                type="file"
+                accept=".json,.asc,.txt,image/*"
+                onChange={onScenarioSelected}
+                className="hidden"
+              />
+              <button
+                onClick={() => scenarioInputRef.current.click()}
+                title="Scenario JSON, ESRI ASCII grid (.asc) or grayscale heightmap image"
+                className="px-3 py-1 bg-slate-700 hover:bg-slate-600 rounded"
+              >
+                Load scenario…
+              </button>
+              <button
+                onClick={exportScenario}
+                disabled={!simRef.current}
+                className="px-3 py-1 bg-slate-700 hover:bg-slate-600 rounded disabled:opacity-50"
+              >
+                Export current state
+              </button>
+              {scenario && (
+                <button onClick={clearScenario} className="px-3 py-1 text-gray-400 hover:text-gray-200">
+                  Use random map
+                </button>
+              )}
+              {scenarioError && <span className="w-full text-center text-red-400">{scenarioError}</span>}
+            </div>
+
+            <form
+              onSubmit={(e) => {
+                e.preventDefault();
+                const text = evaInput.trim();
+                if (!text) return;
+                setEvaInput('');
+                handleUtterance(text);
+              }}
+              className="mt-6 p-4 bg-slate-800/50 rounded-lg"
+            >
+              <div className="flex flex-wrap items-center gap-3">
+                <label htmlFor="evaInput" className="text-sm font-semibold text-gray-300">🤖 EVA</label>
+                <input
+                  id="evaInput"
+                  type="text"
+                  value={evaInput}
+                  placeholder={'Try "set inertia to 0.5", "ignite at 12, 8", "deploy 30 drones" or "how contained is it?"'}
+                  onChange={(e) => setEvaInput(e.target.value)}
+                  className="flex-1 min-w-[16rem] px-2 py-1 bg-slate-900 border border-slate-700 rounded text-sm text-gray-200"
+                />
+                <button type="submit" className="px-4 py-1 bg-slate-700 hover:bg-slate-600 rounded text-sm font-semibold">
+                  Send
+                </button>
+                {speech_supported() && (
+                  <button
+                    type="button"
+                    onClick={toggleListening}
+                    title="Speak a command or question"
+                    className={`px-4 py-1 rounded text-sm font-semibold ${listening ? 'bg-cyan-600 hover:bg-cyan-500' : 'bg-slate-700 hover:bg-slate-600'}`}
+                  >
+                    {listening ? '■ Listening' : '🎤 Speak'}
+                  </button>
+                )}
+              </div>
+              {evaLog.length > 0 && (
+                <div className="mt-3 space-y-1 text-sm">
+                  {evaLog.map((line, i) => (
+                    <div key={i} className={line.from === 'eva' ? 'text-cyan-300' : 'text-gray-400'}>
+                      <span className="font-semibold">{line.from === 'eva' ? 'EVA' : 'You'}:</span> {line.text}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </form>
+
             <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-6">
               <div className="flex items-center gap-3 px-4 py-3 bg-slate-800 rounded-lg">
                 <span className="text-gray-400">Step:</span>
@@ -545,48 +1503,266 @@ const FireSuppressionSimulation = () => {
               </div>
               <div className="flex items-center gap-3 px-4 py-3 bg-slate-800 rounded-lg">
                 <span className="text-gray-400">Efficiency:</span>
-                <span id="diversityValue" className="font-bold text-purple-400">
+                <span id="efficiencyValue" className="font-bold text-purple-400">
                   {stats.saved + stats.burnt > 0 ? ((stats.saved / (stats.saved + stats.burnt)) * 100).toFixed(1) : 0}%
                 </span>
               </div>
+              <div className="flex items-center gap-3 px-4 py-3 bg-slate-800 rounded-lg">
+                <span className="text-gray-400">Saved:</span>
+                <span id="savedArea" className="font-bold text-green-400">{formatValue(stats.saved_hectares)} ha</span>
+              </div>
+              <div className="flex items-center gap-3 px-4 py-3 bg-slate-800 rounded-lg">
+                <span className="text-gray-400">Burnt:</span>
+                <span id="burntArea" className="font-bold text-stone-400">{formatValue(stats.burnt_hectares)} ha</span>
+              </div>
+              <div className="flex items-center gap-3 px-4 py-3 bg-slate-800 rounded-lg">
+                <span className="text-gray-400">Diversity:</span>
+                <span id="diversityValue" className="font-bold text-purple-400">
+                  {stats.diversity === null ? '—' : stats.diversity.toFixed(3)}
+                </span>
+              </div>
+              <div className="flex items-center gap-3 px-4 py-3 bg-slate-800 rounded-lg" title="Fires extinguished minus new ignitions this step">
+                <span className="text-gray-400">Reward:</span>
+                <span id="rewardValue" className="font-bold text-teal-400">
+                  {stats.reward === null ? '—' : stats.reward}
+                </span>
+              </div>
             </div>
 
+            {stats.comparison && (
+              <div className="mt-4 p-4 bg-slate-800/50 rounded-lg">
+                <div className="text-sm text-gray-400 mb-3">
+                  A: {STRATEGY_LABELS[stats.comparison.a.strategy]} (ω {stats.comparison.a.omega}, φₚ {stats.comparison.a.phi_p}, φᵍ {stats.comparison.a.phi_g})
+                  {' vs '}
+                  B: {STRATEGY_LABELS[stats.comparison.b.strategy]} (ω {stats.comparison.b.omega}, φₚ {stats.comparison.b.phi_p}, φᵍ {stats.comparison.b.phi_g})
+                </div>
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+                  {[
+                    ['trees_saved', 'Trees saved', true],
+                    ['trees_burnt', 'Trees burnt', false],
+                    ['total_extinguished', 'Extinguished', true],
+                    ['steps_to_containment', 'Contained at step', false]
+                  ].map(([key, label, higherIsBetter]) => {
+                    const delta = stats.comparison[key];
+                    const better = delta === null || delta === 0 ? 'text-gray-300' : (delta > 0) === higherIsBetter ? 'text-green-400' : 'text-red-400';
+                    return (
+                      <div key={key} className="px-3 py-2 bg-slate-900/60 rounded">
+                        <div className="text-gray-400">{label}</div>
+                        <div className="text-gray-100">
+                          {stats.comparison.a[key] ?? '—'} vs {stats.comparison.b[key] ?? '—'}
+                          <span className={`ml-2 font-bold ${better}`}>{delta === null ? '' : `A ${delta > 0 ? '+' : ''}${delta}`}</span>
+                        </div>
+                      </div>
+                    );
+                  })}
+                </div>
+                <div className="text-xs text-gray-500 mt-3">
+                  Trees only A saved: <span className="text-green-400">{stats.comparison.saved_only_a}</span> · only B saved:{' '}
+                  <span className="text-green-400">{stats.comparison.saved_only_b}</span>. Stats, charts and downloads below follow pane A.
+                </div>
+              </div>
+            )}
+
             <div className="mt-4 p-4 bg-slate-800/50 rounded-lg">
               <div className="text-sm text-gray-400 mb-2">Current PSO Parameters:</div>
               <div className="flex flex-wrap gap-4 justify-center text-sm">
-                <span className="text-orange-400">ω = <span id="currentOmega">{omega.toFixed(2)}</span></span>
-                <span className="text-blue-400">φₚ = <span id="currentPhip">{phiP.toFixed(2)}</span></span>
-                <span className="text-purple-400">φᵍ = <span id="currentPhig">{phiG.toFixed(2)}</span></span>
-                <span className="text-yellow-400">Elapsed Time = <span id="rewardValue">{stats.elapsed_time.toFixed(2)}s</span></span>
+                <span className="text-cyan-400">Strategy = <span id="currentStrategy">{STRATEGY_LABELS[params.strategy]}</span></span>
+                {stats.live && stats.live.adaptive && (
+                  <span className="text-teal-400">Tuning = <span id="currentAdaptive">{CONTROLLER_LABELS[stats.live.adaptive]}</span></span>
+                )}
+                <span className="text-orange-400">ω = <span id="currentOmega">{(stats.live || params).omega.toFixed(2)}</span></span>
+                <span className="text-blue-400">φₚ = <span id="currentPhip">{(stats.live || params).phi_p.toFixed(2)}</span></span>
+                <span className="text-purple-400">φᵍ = <span id="currentPhig">{(stats.live || params).phi_g.toFixed(2)}</span></span>
+                <span className="text-yellow-400">Elapsed = <span id="elapsedTime">{stats.elapsed_minutes.toFixed(1)} min</span></span>
+                {activeSeed !== null && <span className="text-gray-400">Seed = <span id="currentSeed">{activeSeed}</span></span>}
               </div>
+              {stats.fleet && (
+                <div className="flex flex-wrap gap-4 justify-center text-sm mt-2 text-gray-400">
+                  <span>Active = <span className="text-green-400">{stats.fleet.active}</span></span>
+                  <span>Refilling = <span className="text-blue-400">{stats.fleet.refilling}</span></span>
+                  <span>Returning = <span className="text-yellow-400">{stats.fleet.returning}</span></span>
+                  <span>Charging = <span className="text-cyan-400">{stats.fleet.charging}</span></span>
+                  {stats.fleet.down > 0 && <span>Down = <span className="text-red-400">{stats.fleet.down}</span></span>}
+                  <span>Mean battery = <span className="text-gray-200">{(stats.fleet.battery * 100).toFixed(0)}%</span></span>
+                  <span>Refill trips = <span className="text-blue-400">{stats.fleet.refill_trips}</span></span>
+                  <span>Queue idle = <span className="text-gray-200">{stats.fleet.idle_steps} drone-steps</span></span>
+                </div>
+              )}
+              {stats.sensing && (
+                <div className="flex flex-wrap gap-4 justify-center text-sm mt-2 text-gray-400">
+                  <span>Known fires = <span className="text-orange-400">{stats.sensing.known_fires}</span> of {stats.fires}</span>
+                  <span>Map seen = <span className="text-gray-200">{(stats.sensing.coverage * 100).toFixed(0)}%</span></span>
+                  <span>Radio groups = <span className="text-cyan-400">{stats.sensing.groups}</span></span>
+                </div>
+              )}
             </div>
 
-            {step < 10 && (
+            {stats.nextLaunch && (
               <div className="mt-4 p-3 bg-blue-500/20 border border-blue-500/30 rounded-lg text-blue-300 text-center">
-                🚁 Drones will deploy at step 10...
+                🚁 {stats.nextLaunch.count} {stats.nextLaunch.count === 1 ? 'drone' : 'drones'} will deploy at step{' '}
+                {stats.nextLaunch.step} ({formatValue(stats.nextLaunch.minutes)} min)...
               </div>
             )}
 
+            <div className="mt-6 bg-slate-800/50 p-4 rounded-lg">
+              <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+                <div className="text-sm font-semibold text-gray-300">📈 Run History</div>
+                <div className="flex gap-2 text-sm">
+                  <button
+                    onClick={() => downloadHistory('csv')}
+                    disabled={step === 0}
+                    className="px-3 py-1 bg-slate-700 hover:bg-slate-600 rounded disabled:opacity-50"
+                  >
+                    Download CSV
+                  </button>
+                  <button
+                    onClick={() => downloadHistory('json')}
+                    disabled={step === 0}
+                    className="px-3 py-1 bg-slate-700 hover:bg-slate-600 rounded disabled:opacity-50"
+                  >
+                    Download JSON
+                  </button>
+                </div>
+              </div>
+              <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+                {CHARTS.map((chart, k) => (
+                  <div key={chart.title} className="bg-slate-900/60 rounded p-2">
+                    <div className="text-xs text-gray-400 mb-1">{chart.title}</div>
+                    <canvas ref={(el) => { chartRefs.current[k] = el; }} className="w-full h-24 block" />
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            <div className="mt-6 bg-slate-800/50 p-4 rounded-lg">
+              <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+                <div className="text-sm font-semibold text-gray-300">🎞️ Replay</div>
+                <div className="flex flex-wrap gap-2 text-sm">
+                  <button
+                    onClick={downloadReplay}
+                    disabled={step === 0}
+                    className="px-3 py-1 bg-slate-700 hover:bg-slate-600 rounded disabled:opacity-50"
+                  >
+                    Download replay
+                  </button>
+                  <input ref={replayInputRef} type="file" accept=".json,application/json" onChange={onReplaySelected} className="hidden" />
+                  <button onClick={() => replayInputRef.current.click()} className="px-3 py-1 bg-slate-700 hover:bg-slate-600 rounded">
+                    Open replay…
+                  </button>
+                  <button
+                    onClick={() => exportVideo('gif')}
+                    disabled={exporting !== null || (!replay && step === 0)}
+                    className="px-3 py-1 bg-slate-700 hover:bg-slate-600 rounded disabled:opacity-50"
+                  >
+                    Export GIF
+                  </button>
+                  <button
+                    onClick={() => exportVideo('webm')}
+                    disabled={exporting !== null || (!replay && step === 0)}
+                    className="px-3 py-1 bg-slate-700 hover:bg-slate-600 rounded disabled:opacity-50"
+                  >
+                    Export WebM
+                  </button>
+                </div>
+              </div>
+              {replay ? (
+                <div className="flex flex-wrap items-center gap-3 text-sm text-gray-400">
+                  <button
+                    onClick={() => {
+                      if (replayFrame === replay.frame_count - 1) showReplayFrame(0);
+                      setReplayPlaying(!replayPlaying);
+                    }}
+                    className="px-3 py-1 bg-cyan-700 hover:bg-cyan-600 rounded text-white"
+                  >
+                    {replayPlaying ? 'Pause' : 'Play'}
+                  </button>
+                  <input
+                    type="range"
+                    min="0"
+                    max={replay.frame_count - 1}
+                    step="1"
+                    value={replayFrame}
+                    onChange={(e) => {
+                      setReplayPlaying(false);
+                      showReplayFrame(parseInt(e.target.value, 10));
+                    }}
+                    className="flex-1 h-2 bg-slate-700 rounded-lg appearance-none cursor-pointer accent-pink-500"
+                  />
+                  <span className="text-gray-300">
+                    Step {replay.frame.step} · fires {replay.frame.stats.active_fires} · extinguished {replay.frame.stats.extinguished} · saved{' '}
+                    {replay.frame.stats.trees_saved}
+                  </span>
+                  <button onClick={closeReplay} className="px-3 py-1 bg-slate-700 hover:bg-slate-600 rounded">
+                    Back to live run
+                  </button>
+                </div>
+              ) : (
+                <div className="text-xs text-gray-500">
+                  Every step of the current run is recorded. Replays are self-contained and play back here without re-running the
+                  simulation. Exports play at 10 steps per second.
+                </div>
+              )}
+              {exporting && (
+                <div className="text-xs text-cyan-300 mt-2">
+                  Exporting {exporting.format.toUpperCase()}… {(exporting.progress * 100).toFixed(0)}%
+                </div>
+              )}
+              {replayError && <div className="text-xs text-red-400 mt-2">{replayError}</div>}
+            </div>
+
+            {(finished || lastRun) && (() => {
+              const summary = finished ? simRef.current.summary() : lastRun.summary;
+              return (
+                <div className="mt-4 p-4 bg-emerald-500/10 border border-emerald-500/30 rounded-lg">
+                  <div className="text-sm font-semibold text-emerald-300 mb-3">
+                    {finished ? '🏁 Run complete' : '🕘 Previous run'} · seed {summary.seed} · {STRATEGY_LABELS[summary.strategy]}
+                  </div>
+                  <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+                    {SUMMARY_ITEMS.map(([key, label]) => (
+                      <div key={key} className="flex justify-between gap-2 px-3 py-2 bg-slate-900/60 rounded">
+                        <span className="text-gray-400">{label}</span>
+                        <span className="font-bold text-gray-100">{formatValue(summary[key]) ?? '—'}</span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              );
+            })()}
+
             <div className="mt-6 grid md:grid-cols-2 gap-6">
               <div className="bg-slate-800/50 p-4 rounded-lg">
                 <div className="text-sm font-semibold text-gray-300 mb-3">🗺️ Legend</div>
                 <div className="space-y-2 text-sm text-gray-400">
-                  <p>🌲 Forest (Trees)</p>
-                  <p>🔥 Active Fire</p>
-                  <p>🟩 Extinguished by Drone</p>
-                  <p>⬛ Burnt Naturally</p>
-                  <p>🔷 Water Source</p>
-                  <p>🚁 Drone</p>
+                  {LEGEND.map(([key, label]) => (
+                    <p key={key} className="flex items-center gap-2">
+                      <span className="inline-block w-4 h-4 rounded-sm" style={{ backgroundColor: rgb(CELL_COLORS[key]) }} />
+                      {label}
+                    </p>
+                  ))}
+                  <p className="flex items-center gap-2">
+                    <span className="inline-block w-4 text-center text-slate-200">✕</span>
+                    Drone (white standard, cyan scout, pink tanker; grey when out of water, faded when off duty, yellow line = velocity)
+                  </p>
+                  <p className="flex items-center gap-2">
+                    <span className="inline-block w-4 h-4 border-2 border-cyan-400" />
+                    Home base (recharge and reload)
+                  </p>
+                  <p className="text-xs text-gray-500">Brighter cells are higher ground</p>
                 </div>
               </div>
 
               <div className="bg-slate-800/50 p-4 rounded-lg">
                 <div className="text-sm font-semibold text-gray-300 mb-3">ℹ️ Notes</div>
                 <div className="space-y-2 text-sm text-gray-400">
-                  <p>• Drones deploy at step 10</p>
+                  <p>
+                    • Drones deploy at step {deployment.deploy_step}
+                    {deployment.waves > 1 && ` in ${deployment.waves} waves`}; reinforcements can be sent mid-run
+                  </p>
                   <p>• Adjust parameters before or during simulation</p>
-                  <p>• Fire spreads based on elevation and wind</p>
-                  <p>• Drones refill water at blue sources</p>
+                  <p>• Fire spreads based on elevation and wind (realistic model adds fuel and moisture)</p>
+                  <p>• Empty drones fly to water, queue when a source is crowded, then head for the most threatening fire</p>
+                  <p>• Drones recharge and reload at home bases</p>
+                  <p>• The same seed and parameters replay the same run</p>
                 </div>
               </div>
             </div>
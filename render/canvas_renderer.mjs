@@ -0,0 +1,476 @@
+import { BELIEF_STATES } from '../sim/sensing.mjs';
+
+export const CELL_COLORS = {
+  fire: [249, 115, 22],
+  extinguished: [34, 197, 94],
+  burnt: [38, 38, 38],
+  water: [59, 130, 246],
+  firebreak: [146, 112, 70],
+  tree: [21, 94, 56],
+  empty: [120, 113, 108]
+};
+
+const DRONE_COLORS = {
+  standard: '#e2e8f0',
+  scout: '#67e8f9',
+  tanker: '#fda4af'
+};
+const DRONE_EMPTY_COLOR = '#64748b';
+const BASE_COLOR = '#22d3ee';
+const VELOCITY_COLOR = '#facc15';
+const SELECTED_COLOR = '#f472b6';
+const FORECAST_COLOR = [250, 204, 21];
+const FOG_COLOR = [30, 41, 59];
+const LINK_COLOR = 'rgba(103, 232, 249, 0.4)';
+// Fog over a belief map: cells never seen, and per step since one was seen.
+const UNSEEN_FOG = 0.7;
+const STALE_FOG = 0.02;
+const MAX_STALE_FOG = 0.6;
+const MIN_SCALE = 1;
+const MAX_SCALE = 64;
+
+export function cell_color(cell) {
+  if (cell.fire) return CELL_COLORS.fire;
+  if (cell.burnt) return cell.extinguished_by_drone ? CELL_COLORS.extinguished : CELL_COLORS.burnt;
+  if (cell.water) return CELL_COLORS.water;
+  if (cell.firebreak) return CELL_COLORS.firebreak;
+  if (cell.tree) return CELL_COLORS.tree;
+  return CELL_COLORS.empty;
+}
+
+// A cell as a belief map has it: fires and burns as last seen over the
+// terrain, which is known.
+export function believed_color(cell, state) {
+  if (state === BELIEF_STATES.fire) return CELL_COLORS.fire;
+  if (state === BELIEF_STATES.burnt) return CELL_COLORS.burnt;
+  if (state === BELIEF_STATES.extinguished) return CELL_COLORS.extinguished;
+  if (cell.water) return CELL_COLORS.water;
+  if (cell.firebreak) return CELL_COLORS.firebreak;
+  return cell.tree || cell.fire || cell.burnt ? CELL_COLORS.tree : CELL_COLORS.empty;
+}
+
+export function rgb([r, g, b]) {
+  return `rgb(${r}, ${g}, ${b})`;
+}
+
+// Draws an Environment, DroneSwarm and home bases onto a canvas. Cells are painted one
+// pixel each into an offscreen bitmap and scaled up, so a frame costs one pass
+// over the grid regardless of zoom. Wheel zooms around the cursor, dragging
+// pans and double-click fits the map back into view. While edit_handler is
+// set, dragging edits instead (see MapEditor) and Shift-drag pans. A click
+// that did not drag is reported to on_click. With show_forecast set, the
+// caller passes a per-cell ignition-probability map (forecast_spread) as
+// `overlay` and cells are tinted by it. With show_belief set and a BeliefMap
+// passed as `belief`, the map is drawn as the drones know it, fogged where
+// unseen or stale, with links between drones that can talk.
+export class GridRenderer {
+  constructor(canvas, { show_elevation = true, show_velocities = true, show_forecast = false, show_belief = false } = {}) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.bitmap = document.createElement('canvas');
+    this.bitmap_ctx = this.bitmap.getContext('2d');
+    this.image = null;
+    this.show_elevation = show_elevation;
+    this.show_velocities = show_velocities;
+    this.show_forecast = show_forecast;
+    this.overlay = null;
+    this.show_belief = show_belief;
+    this.belief = null;
+    this.scale = 0;
+    this.offset_x = 0;
+    this.offset_y = 0;
+    this.env = null;
+    this.swarm = null;
+    this.bases = [];
+    this.frame = null;
+    this.auto_fit = true;
+    // (phase, [x, y]) with phase 'down' | 'move' | 'up' and grid coordinates.
+    this.edit_handler = null;
+    // (client_x, client_y) for a press and release without dragging.
+    this.on_click = null;
+    // Drone index drawn highlighted, or null.
+    this.selected = null;
+  }
+
+  attach() {
+    const canvas = this.canvas;
+    let drag = null;
+
+    const on_wheel = (e) => {
+      e.preventDefault();
+      const [mx, my] = this.canvas_point(e.clientX, e.clientY);
+      const factor = Math.exp(-e.deltaY * 0.0015);
+      this.zoom_at(mx, my, factor);
+    };
+    const on_pointer_down = (e) => {
+      if (e.button !== 0) return;
+      const edit = this.edit_handler !== null && !e.shiftKey;
+      drag = { x: e.clientX, y: e.clientY, edit, moved: 0 };
+      canvas.setPointerCapture(e.pointerId);
+      if (edit) this.edit_handler('down', this.world_at(e.clientX, e.clientY));
+    };
+    const on_pointer_move = (e) => {
+      if (!drag) return;
+      if (drag.edit) {
+        if (this.edit_handler) this.edit_handler('move', this.world_at(e.clientX, e.clientY));
+        return;
+      }
+      const ratio = window.devicePixelRatio || 1;
+      const dx = (e.clientX - drag.x) * ratio;
+      const dy = (e.clientY - drag.y) * ratio;
+      drag.moved += Math.abs(e.clientX - drag.x) + Math.abs(e.clientY - drag.y);
+      drag.x = e.clientX;
+      drag.y = e.clientY;
+      this.offset_x += dx;
+      this.offset_y += dy;
+      this.auto_fit = false;
+      this.request_redraw();
+    };
+    const on_pointer_up = (e) => {
+      if (drag && drag.edit && this.edit_handler) this.edit_handler('up', this.world_at(e.clientX, e.clientY));
+      else if (drag && drag.moved < 4 && this.on_click) this.on_click(e.clientX, e.clientY);
+      drag = null;
+      if (canvas.hasPointerCapture(e.pointerId)) canvas.releasePointerCapture(e.pointerId);
+    };
+    const on_dblclick = () => this.fit();
+    const on_resize = () => {
+      this.resize();
+      if (this.auto_fit) this.fit();
+      else this.request_redraw();
+    };
+
+    canvas.addEventListener('wheel', on_wheel, { passive: false });
+    canvas.addEventListener('pointerdown', on_pointer_down);
+    canvas.addEventListener('pointermove', on_pointer_move);
+    canvas.addEventListener('pointerup', on_pointer_up);
+    canvas.addEventListener('pointercancel', on_pointer_up);
+    canvas.addEventListener('dblclick', on_dblclick);
+    const observer = typeof ResizeObserver !== 'undefined' ? new ResizeObserver(on_resize) : null;
+    if (observer) observer.observe(canvas);
+    this.resize();
+
+    return () => {
+      canvas.removeEventListener('wheel', on_wheel);
+      canvas.removeEventListener('pointerdown', on_pointer_down);
+      canvas.removeEventListener('pointermove', on_pointer_move);
+      canvas.removeEventListener('pointerup', on_pointer_up);
+      canvas.removeEventListener('pointercancel', on_pointer_up);
+      canvas.removeEventListener('dblclick', on_dblclick);
+      if (observer) observer.disconnect();
+      if (this.frame !== null) cancelAnimationFrame(this.frame);
+      this.frame = null;
+    };
+  }
+
+  // Detached canvases (used for exports) keep the size they were given.
+  resize() {
+    if (!this.canvas.isConnected) return;
+    const ratio = window.devicePixelRatio || 1;
+    const width = Math.max(1, Math.round(this.canvas.clientWidth * ratio));
+    const height = Math.max(1, Math.round(this.canvas.clientHeight * ratio));
+    if (this.canvas.width !== width || this.canvas.height !== height) {
+      this.canvas.width = width;
+      this.canvas.height = height;
+    }
+  }
+
+  canvas_point(client_x, client_y) {
+    const rect = this.canvas.getBoundingClientRect();
+    const ratio = window.devicePixelRatio || 1;
+    return [(client_x - rect.left) * ratio, (client_y - rect.top) * ratio];
+  }
+
+  // Grid coordinates (floats) under a client-space point.
+  world_at(client_x, client_y) {
+    const [mx, my] = this.canvas_point(client_x, client_y);
+    return [(mx - this.offset_x) / this.scale, (my - this.offset_y) / this.scale];
+  }
+
+  cell_at(client_x, client_y) {
+    if (!this.env || this.scale === 0) return null;
+    const [wx, wy] = this.world_at(client_x, client_y);
+    const x = Math.floor(wx), y = Math.floor(wy);
+    if (x < 0 || x >= this.env.width || y < 0 || y >= this.env.height) return null;
+    return [x, y];
+  }
+
+  // Index of the drone drawn under a client-space point, or null.
+  drone_at(client_x, client_y) {
+    if (!this.swarm || this.scale === 0) return null;
+    const [wx, wy] = this.world_at(client_x, client_y);
+    const reach = Math.max(0.5, 6 / this.scale);
+    let best = null, best_dist = reach;
+    this.swarm.positions.forEach(([px, py], i) => {
+      const d = Math.hypot(px - wx, py - wy);
+      if (d < best_dist) {
+        best_dist = d;
+        best = i;
+      }
+    });
+    return best;
+  }
+
+  zoom_at(mx, my, factor) {
+    const scale = Math.min(MAX_SCALE, Math.max(MIN_SCALE, this.scale * factor));
+    const applied = scale / this.scale;
+    this.offset_x = mx - (mx - this.offset_x) * applied;
+    this.offset_y = my - (my - this.offset_y) * applied;
+    this.scale = scale;
+    this.auto_fit = false;
+    this.request_redraw();
+  }
+
+  fit() {
+    if (!this.env) return;
+    this.resize();
+    const { width, height } = this.canvas;
+    this.scale = Math.max(MIN_SCALE, Math.min(width / this.env.width, height / this.env.height));
+    this.offset_x = (width - this.env.width * this.scale) / 2;
+    this.offset_y = (height - this.env.height * this.scale) / 2;
+    this.auto_fit = true;
+    this.request_redraw();
+  }
+
+  draw(env, swarm = null, bases = []) {
+    const replaced = env !== this.env;
+    this.env = env;
+    this.swarm = swarm;
+    this.bases = bases;
+    if (replaced || this.scale === 0) this.fit();
+    this.paint_cells();
+    this.redraw();
+  }
+
+  request_redraw() {
+    if (this.frame !== null) return;
+    this.frame = requestAnimationFrame(() => {
+      this.frame = null;
+      this.redraw();
+    });
+  }
+
+  paint_cells() {
+    const env = this.env;
+    if (this.bitmap.width !== env.width || this.bitmap.height !== env.height || !this.image) {
+      this.bitmap.width = env.width;
+      this.bitmap.height = env.height;
+      this.image = this.bitmap_ctx.createImageData(env.width, env.height);
+    }
+
+    let min = Infinity, max = -Infinity;
+    if (this.show_elevation) {
+      for (const row of env.grid) {
+        for (const cell of row) {
+          if (cell.elevation < min) min = cell.elevation;
+          if (cell.elevation > max) max = cell.elevation;
+        }
+      }
+    }
+    const range = max > min ? max - min : 1;
+
+    const data = this.image.data;
+    const overlay = this.show_forecast ? this.overlay : null;
+    const belief = this.show_belief ? this.belief : null;
+    let i = 0;
+    for (let y = 0; y < env.height; y++) {
+      for (let x = 0; x < env.width; x++) {
+        const cell = env.grid[y][x];
+        const [r, g, b] = belief ? believed_color(cell, belief.state_at(x, y)) : cell_color(cell);
+        // Elevation shades each cell from 55% (lowest) to 100% (highest) brightness.
+        const shade = this.show_elevation ? 0.55 + 0.45 * ((cell.elevation - min) / range) : 1;
+        // Forecast risk blends toward yellow, fully at certain ignition.
+        const risk = overlay ? Math.min(1, overlay[y * env.width + x]) * 0.85 : 0;
+        const age = belief ? belief.age(x, y) : 0;
+        const fog = age === Infinity ? UNSEEN_FOG : Math.min(MAX_STALE_FOG, age * STALE_FOG);
+        data[i++] = (r * shade * (1 - risk) + FORECAST_COLOR[0] * risk) * (1 - fog) + FOG_COLOR[0] * fog;
+        data[i++] = (g * shade * (1 - risk) + FORECAST_COLOR[1] * risk) * (1 - fog) + FOG_COLOR[1] * fog;
+        data[i++] = (b * shade * (1 - risk) + FORECAST_COLOR[2] * risk) * (1 - fog) + FOG_COLOR[2] * fog;
+        data[i++] = 255;
+      }
+    }
+    this.bitmap_ctx.putImageData(this.image, 0, 0);
+  }
+
+  redraw() {
+    const { ctx, canvas, env } = this;
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    if (!env) return;
+
+    const s = this.scale;
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(this.bitmap, this.offset_x, this.offset_y, env.width * s, env.height * s);
+
+    if (s >= 12) this.draw_gridlines();
+    this.draw_bases();
+    if (this.swarm && this.show_belief && this.belief && this.swarm.group) this.draw_links();
+    if (this.swarm) this.draw_drones();
+    this.draw_wind();
+  }
+
+  draw_gridlines() {
+    const { ctx, env } = this;
+    const s = this.scale;
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.25)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (let x = 0; x <= env.width; x++) {
+      const px = Math.round(this.offset_x + x * s) + 0.5;
+      ctx.moveTo(px, this.offset_y);
+      ctx.lineTo(px, this.offset_y + env.height * s);
+    }
+    for (let y = 0; y <= env.height; y++) {
+      const py = Math.round(this.offset_y + y * s) + 0.5;
+      ctx.moveTo(this.offset_x, py);
+      ctx.lineTo(this.offset_x + env.width * s, py);
+    }
+    ctx.stroke();
+  }
+
+  draw_bases() {
+    const { ctx } = this;
+    const s = this.scale;
+    const size = Math.max(4, s * 0.8);
+    ctx.strokeStyle = BASE_COLOR;
+    ctx.lineWidth = Math.max(1, size * 0.12);
+    for (const { x, y } of this.bases) {
+      const cx = this.offset_x + (x + 0.5) * s;
+      const cy = this.offset_y + (y + 0.5) * s;
+      ctx.strokeRect(cx - size / 2, cy - size / 2, size, size);
+      ctx.beginPath();
+      ctx.moveTo(cx - size * 0.25, cy - size * 0.25);
+      ctx.lineTo(cx - size * 0.25, cy + size * 0.25);
+      ctx.moveTo(cx + size * 0.25, cy - size * 0.25);
+      ctx.lineTo(cx + size * 0.25, cy + size * 0.25);
+      ctx.moveTo(cx - size * 0.25, cy);
+      ctx.lineTo(cx + size * 0.25, cy);
+      ctx.stroke();
+    }
+  }
+
+  // A line between every pair of drones in direct radio range; none when
+  // range is unlimited.
+  draw_links() {
+    const { ctx, swarm } = this;
+    const s = this.scale;
+    const { comm_range } = swarm.sensing;
+    if (comm_range === null) return;
+    ctx.strokeStyle = LINK_COLOR;
+    ctx.lineWidth = Math.max(1, s * 0.05);
+    ctx.beginPath();
+    for (let i = 0; i < swarm.num_drones; i++) {
+      for (let j = i + 1; j < swarm.num_drones; j++) {
+        if (swarm.group[i] !== swarm.group[j]) continue;
+        const [xi, yi] = swarm.positions[i], [xj, yj] = swarm.positions[j];
+        if (Math.hypot(xi - xj, yi - yj) > comm_range) continue;
+        ctx.moveTo(this.offset_x + xi * s, this.offset_y + yi * s);
+        ctx.lineTo(this.offset_x + xj * s, this.offset_y + yj * s);
+      }
+    }
+    ctx.stroke();
+  }
+
+  draw_drones() {
+    const { ctx, swarm } = this;
+    const s = this.scale;
+    const radius = Math.max(2, s * 0.35);
+
+    for (let i = 0; i < swarm.num_drones; i++) {
+      const [px, py] = swarm.positions[i];
+      // Cell x spans [x, x + 1), so drawing at p shows where inside its cell a drone is.
+      const cx = this.offset_x + px * s;
+      const cy = this.offset_y + py * s;
+
+      if (this.show_velocities) {
+        const [vx, vy] = swarm.velocities[i];
+        ctx.strokeStyle = VELOCITY_COLOR;
+        ctx.lineWidth = Math.max(1, s * 0.06);
+        ctx.beginPath();
+        ctx.moveTo(cx, cy);
+        ctx.lineTo(cx + vx * s, cy + vy * s);
+        ctx.stroke();
+      }
+
+      const empty = swarm.water_left[i] === 0;
+      const color = empty ? DRONE_EMPTY_COLOR : DRONE_COLORS[swarm.type_names[i]];
+      // Drones off duty (heading home, charging, or flat) are drawn faded.
+      ctx.globalAlpha = swarm.mode[i] === 'active' ? 1 : 0.45;
+      ctx.strokeStyle = color;
+      ctx.lineWidth = Math.max(1, radius * 0.3);
+      ctx.beginPath();
+      ctx.moveTo(cx - radius, cy - radius);
+      ctx.lineTo(cx + radius, cy + radius);
+      ctx.moveTo(cx + radius, cy - radius);
+      ctx.lineTo(cx - radius, cy + radius);
+      ctx.stroke();
+      ctx.fillStyle = color;
+      ctx.beginPath();
+      ctx.arc(cx, cy, radius * 0.45, 0, Math.PI * 2);
+      ctx.fill();
+      if (i === this.selected) {
+        ctx.globalAlpha = 1;
+        ctx.strokeStyle = SELECTED_COLOR;
+        ctx.lineWidth = Math.max(1.5, radius * 0.2);
+        ctx.beginPath();
+        ctx.arc(cx, cy, radius * 1.6, 0, Math.PI * 2);
+        ctx.stroke();
+        const [bx, by] = swarm.pbest_positions[i];
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(cx, cy);
+        ctx.lineTo(this.offset_x + bx * s, this.offset_y + by * s);
+        ctx.stroke();
+        ctx.setLineDash([]);
+      }
+
+      if (s >= 8) {
+        const charge = swarm.battery[i] / swarm.types[i].battery_capacity;
+        const w = radius * 2, h = Math.max(2, radius * 0.25);
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(cx - radius, cy + radius * 1.2, w, h);
+        ctx.fillStyle = charge > 0.5 ? '#4ade80' : charge > 0.2 ? '#facc15' : '#f87171';
+        ctx.fillRect(cx - radius, cy + radius * 1.2, w * charge, h);
+      }
+      ctx.globalAlpha = 1;
+    }
+  }
+
+  draw_wind() {
+    const { ctx, env } = this;
+    const [wx, wy] = env.wind.vector();
+    const length = Math.hypot(wx, wy);
+    if (length === 0) return;
+    const gusting = env.wind.gust_remaining > 0;
+
+    const ratio = window.devicePixelRatio || 1;
+    const size = 18 * ratio;
+    const cx = this.canvas.width - size * 1.6;
+    const cy = size * 1.6;
+    const ux = wx / length, uy = wy / length;
+
+    ctx.fillStyle = 'rgba(15, 23, 42, 0.7)';
+    ctx.beginPath();
+    ctx.arc(cx, cy, size * 1.2, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.strokeStyle = gusting ? '#facc15' : '#e2e8f0';
+    ctx.fillStyle = gusting ? '#facc15' : '#e2e8f0';
+    ctx.lineWidth = 2 * ratio;
+    ctx.beginPath();
+    ctx.moveTo(cx - ux * size * 0.8, cy - uy * size * 0.8);
+    ctx.lineTo(cx + ux * size * 0.5, cy + uy * size * 0.5);
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.moveTo(cx + ux * size * 0.9, cy + uy * size * 0.9);
+    ctx.lineTo(cx + ux * size * 0.3 - uy * size * 0.35, cy + uy * size * 0.3 + ux * size * 0.35);
+    ctx.lineTo(cx + ux * size * 0.3 + uy * size * 0.35, cy + uy * size * 0.3 - ux * size * 0.35);
+    ctx.closePath();
+    ctx.fill();
+
+    if (env.fire_model.name !== 'simple') {
+      ctx.font = `${10 * ratio}px sans-serif`;
+      ctx.textAlign = 'center';
+      ctx.fillText(`${length.toFixed(1)} m/s`, cx, cy + size * 1.9);
+    }
+  }
+}
@@ -0,0 +1,85 @@
+// Minimal line charts for the run history: no axes library, just a canvas
+// with the value range, a baseline grid and one polyline per series. Null
+// values (e.g. drone metrics before deployment) leave a gap.
+const GRID_COLOR = 'rgba(148, 163, 184, 0.15)';
+const LABEL_COLOR = '#94a3b8';
+
+function format(value) {
+  if (Math.abs(value) >= 100 || Number.isInteger(value)) return String(Math.round(value));
+  return value.toFixed(2);
+}
+
+// series: [{ label, color, values }]. The y range covers every series unless
+// min/max are given.
+export function draw_line_chart(canvas, series, { min = null, max = null } = {}) {
+  const ratio = window.devicePixelRatio || 1;
+  const width = Math.max(1, Math.round(canvas.clientWidth * ratio));
+  const height = Math.max(1, Math.round(canvas.clientHeight * ratio));
+  if (canvas.width !== width || canvas.height !== height) {
+    canvas.width = width;
+    canvas.height = height;
+  }
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+
+  let lo = min, hi = max, count = 0;
+  for (const { values } of series) {
+    count = Math.max(count, values.length);
+    for (const v of values) {
+      if (v === null || !Number.isFinite(v)) continue;
+      if (min === null && (lo === null || v < lo)) lo = v;
+      if (max === null && (hi === null || v > hi)) hi = v;
+    }
+  }
+  if (lo === null || hi === null || count === 0) return;
+  if (hi === lo) hi = lo + 1;
+
+  const pad = 4 * ratio;
+  const font = 10 * ratio;
+  const left = pad, right = width - pad, top = pad + font, bottom = height - pad;
+  const x_at = i => left + (count > 1 ? (i / (count - 1)) * (right - left) : 0);
+  const y_at = v => bottom - ((v - lo) / (hi - lo)) * (bottom - top);
+
+  ctx.strokeStyle = GRID_COLOR;
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  for (let k = 0; k <= 2; k++) {
+    const y = Math.round(top + (k / 2) * (bottom - top)) + 0.5;
+    ctx.moveTo(left, y);
+    ctx.lineTo(right, y);
+  }
+  ctx.stroke();
+
+  ctx.lineWidth = 1.5 * ratio;
+  for (const { color, values } of series) {
+    ctx.strokeStyle = color;
+    ctx.beginPath();
+    let drawing = false;
+    values.forEach((v, i) => {
+      if (v === null || !Number.isFinite(v)) {
+        drawing = false;
+        return;
+      }
+      if (drawing) ctx.lineTo(x_at(i), y_at(v));
+      else ctx.moveTo(x_at(i), y_at(v));
+      drawing = true;
+    });
+    ctx.stroke();
+  }
+
+  ctx.font = `${font}px sans-serif`;
+  ctx.fillStyle = LABEL_COLOR;
+  ctx.textBaseline = 'top';
+  ctx.textAlign = 'right';
+  ctx.fillText(`${format(lo)} – ${format(hi)}`, right, 1);
+  ctx.textAlign = 'left';
+  let x = left;
+  for (const { label, color, values } of series) {
+    const last = [...values].reverse().find(v => v !== null && Number.isFinite(v));
+    const text = last === undefined ? label : `${label} ${format(last)}`;
+    ctx.fillStyle = color;
+    ctx.fillText(text, x, 1);
+    x += ctx.measureText(text).width + 8 * ratio;
+  }
+}
@@ -0,0 +1,123 @@
+// Minimal animated GIF encoder: a fixed 6×7×6 colour cube (252 colours)
+// instead of per-frame quantisation, which suits the map's flat palette, and
+// plain LZW. Frames are encoded as they are added, so only the output bytes
+// are kept in memory.
+const LEVELS = [6, 7, 6];
+
+function palette() {
+  const table = new Uint8Array(256 * 3);
+  let i = 0;
+  for (let r = 0; r < LEVELS[0]; r++) {
+    for (let g = 0; g < LEVELS[1]; g++) {
+      for (let b = 0; b < LEVELS[2]; b++) {
+        table[i++] = Math.round((r * 255) / (LEVELS[0] - 1));
+        table[i++] = Math.round((g * 255) / (LEVELS[1] - 1));
+        table[i++] = Math.round((b * 255) / (LEVELS[2] - 1));
+      }
+    }
+  }
+  return table;
+}
+
+function quantize(data, count) {
+  const indices = new Uint8Array(count);
+  for (let p = 0, i = 0; p < count; p++, i += 4) {
+    const r = Math.round((data[i] * (LEVELS[0] - 1)) / 255);
+    const g = Math.round((data[i + 1] * (LEVELS[1] - 1)) / 255);
+    const b = Math.round((data[i + 2] * (LEVELS[2] - 1)) / 255);
+    indices[p] = (r * LEVELS[1] + g) * LEVELS[2] + b;
+  }
+  return indices;
+}
+
+function lzw(indices, min_code_size) {
+  const clear = 1 << min_code_size, eoi = clear + 1;
+  const out = [];
+  let code_size = min_code_size + 1, next = eoi + 1;
+  let table = new Map();
+  let bits = 0, count = 0;
+  const emit = (code) => {
+    bits |= code << count;
+    count += code_size;
+    while (count >= 8) {
+      out.push(bits & 0xff);
+      bits >>>= 8;
+      count -= 8;
+    }
+  };
+
+  emit(clear);
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const k = indices[i];
+    const key = (prefix << 8) | k;
+    const found = table.get(key);
+    if (found !== undefined) {
+      prefix = found;
+      continue;
+    }
+    emit(prefix);
+    if (next === 4096) {
+      emit(clear);
+      table = new Map();
+      code_size = min_code_size + 1;
+      next = eoi + 1;
+    } else {
+      if (next >= 1 << code_size) code_size++;
+      table.set(key, next++);
+    }
+    prefix = k;
+  }
+  emit(prefix);
+  emit(eoi);
+  if (count > 0) out.push(bits & 0xff);
+  return out;
+}
+
+export class GifEncoder {
+  // delay is per frame, in milliseconds (GIF stores hundredths).
+  constructor(width, height, { delay = 100 } = {}) {
+    this.width = width;
+    this.height = height;
+    this.delay = Math.max(2, Math.round(delay / 10));
+    this.chunks = [];
+    this.bytes([...'GIF89a'].map(c => c.charCodeAt(0)));
+    this.word(width);
+    this.word(height);
+    this.bytes([0xf7, 0, 0]);
+    this.chunks.push(palette());
+    // Loop forever (NETSCAPE2.0 application extension).
+    this.bytes([0x21, 0xff, 0x0b, ...[...'NETSCAPE2.0'].map(c => c.charCodeAt(0)), 0x03, 0x01, 0, 0, 0]);
+  }
+
+  bytes(values) {
+    this.chunks.push(Uint8Array.from(values));
+  }
+
+  word(value) {
+    this.bytes([value & 0xff, (value >> 8) & 0xff]);
+  }
+
+  // image: an ImageData (or { data }) of exactly width × height pixels.
+  add_frame(image) {
+    this.bytes([0x21, 0xf9, 0x04, 0]);
+    this.word(this.delay);
+    this.bytes([0, 0, 0x2c]);
+    this.word(0);
+    this.word(0);
+    this.word(this.width);
+    this.word(this.height);
+    this.bytes([0, 8]);
+    const data = lzw(quantize(image.data, this.width * this.height), 8);
+    for (let i = 0; i < data.length; i += 255) {
+      const block = data.slice(i, i + 255);
+      this.bytes([block.length, ...block]);
+    }
+    this.bytes([0]);
+  }
+
+  finish() {
+    this.bytes([0x3b]);
+    return new Blob(this.chunks, { type: 'image/gif' });
+  }
+}
@@ -0,0 +1,93 @@
+// Turns pointer input on a GridRenderer into map edits. targets() returns the
+// simulations to edit (both panes in comparison mode, so they keep fighting
+// the same fire), on_change() runs after every edit so the caller can redraw,
+// and on_wind(direction) reports the wind tool's drag in degrees.
+export const EDIT_TOOLS = {
+  ignite: 'Ignite',
+  water: 'Paint water',
+  tree: 'Plant trees',
+  empty: 'Clear ground',
+  firebreak: 'Firebreak',
+  base: 'Toggle base',
+  wind: 'Drag wind'
+};
+
+// Cells on the segment from a to b (Bresenham), both ends included.
+export function cells_on_line([x0, y0], [x1, y1]) {
+  const cells = [];
+  const dx = Math.abs(x1 - x0), dy = -Math.abs(y1 - y0);
+  const sx = x0 < x1 ? 1 : -1, sy = y0 < y1 ? 1 : -1;
+  let err = dx + dy, x = x0, y = y0;
+  for (;;) {
+    cells.push([x, y]);
+    if (x === x1 && y === y1) return cells;
+    const e2 = 2 * err;
+    if (e2 >= dy) {
+      err += dy;
+      x += sx;
+    }
+    if (e2 <= dx) {
+      err += dx;
+      y += sy;
+    }
+  }
+}
+
+export class MapEditor {
+  constructor(renderer, { targets, on_change = () => {}, on_wind = () => {} }) {
+    this.renderer = renderer;
+    this.targets = targets;
+    this.on_change = on_change;
+    this.on_wind = on_wind;
+    this.tool = null;
+    this.last = null;
+    this.origin = null;
+  }
+
+  set_tool(tool) {
+    if (tool && !EDIT_TOOLS[tool]) throw new Error(`Unknown edit tool: ${tool}`);
+    this.tool = tool || null;
+    this.renderer.edit_handler = this.tool ? (phase, point) => this.handle(phase, point) : null;
+  }
+
+  handle(phase, [wx, wy]) {
+    if (phase === 'up') {
+      this.last = null;
+      this.origin = null;
+      return;
+    }
+    if (this.tool === 'wind') {
+      if (phase === 'down') this.origin = [wx, wy];
+      const dx = wx - this.origin[0], dy = wy - this.origin[1];
+      // Ignore the jitter of a click; past half a cell the drag sets the
+      // heading, in the wind slider's 5° steps.
+      if (Math.hypot(dx, dy) >= 0.5) this.on_wind((Math.round((Math.atan2(dy, dx) * 180) / Math.PI / 5) * 5 + 360) % 360);
+      return;
+    }
+    const cell = [Math.floor(wx), Math.floor(wy)];
+    if (phase === 'down') {
+      this.last = cell;
+      this.apply([cell]);
+      return;
+    }
+    // Bases toggle once per click; the brushes follow the drag.
+    if (this.tool === 'base' || !this.last || (cell[0] === this.last[0] && cell[1] === this.last[1])) return;
+    // Fill in the cells between pointer events so quick strokes leave no gaps.
+    this.apply(cells_on_line(this.last, cell).slice(1));
+    this.last = cell;
+  }
+
+  apply(cells) {
+    let changed = false;
+    for (const sim of this.targets()) {
+      for (const [x, y] of cells) {
+        if (x < 0 || x >= sim.env.width || y < 0 || y >= sim.env.height) continue;
+        if (this.tool === 'ignite') sim.env.ignite(x, y);
+        else if (this.tool === 'base') sim.toggle_base(x, y);
+        else sim.env.paint(x, y, this.tool);
+        changed = true;
+      }
+    }
+    if (changed) this.on_change();
+  }
+}
@@ -0,0 +1,69 @@
+import { GridRenderer } from './canvas_renderer.mjs';
+import { GifEncoder } from './gif_encoder.mjs';
+
+// Renders every frame of a ReplayPlayer on a detached canvas, `scale`
+// pixels per cell, and encodes the result. on_progress gets 0..1.
+
+function frame_renderer(player, { scale, show_elevation, show_velocities }) {
+  const canvas = document.createElement('canvas');
+  canvas.width = player.env.width * scale;
+  canvas.height = player.env.height * scale;
+  return new GridRenderer(canvas, { show_elevation, show_velocities });
+}
+
+function draw_frame(renderer, player, i) {
+  player.seek(i);
+  renderer.draw(player.env, player.swarm, player.bases);
+}
+
+const pause = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+export async function export_replay_gif(
+  player,
+  { scale = 12, delay = 100, show_elevation = true, show_velocities = false, on_progress = () => {} } = {}
+) {
+  const renderer = frame_renderer(player, { scale, show_elevation, show_velocities });
+  const { width, height } = renderer.canvas;
+  const encoder = new GifEncoder(width, height, { delay });
+  for (let i = 0; i < player.frame_count; i++) {
+    draw_frame(renderer, player, i);
+    encoder.add_frame(renderer.ctx.getImageData(0, 0, width, height));
+    on_progress((i + 1) / player.frame_count);
+    // Yield now and then so the page stays responsive on long runs.
+    if (i % 10 === 9) await pause(0);
+  }
+  return encoder.finish();
+}
+
+// Video is captured in real time by MediaRecorder, so this takes as long as
+// the clip: frame_count / fps seconds.
+export async function export_replay_webm(
+  player,
+  { scale = 12, fps = 10, show_elevation = true, show_velocities = false, on_progress = () => {} } = {}
+) {
+  const renderer = frame_renderer(player, { scale, show_elevation, show_velocities });
+  if (typeof MediaRecorder === 'undefined' || !renderer.canvas.captureStream) {
+    throw new Error('This browser cannot record canvas video');
+  }
+  const type = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'].find(t => MediaRecorder.isTypeSupported(t));
+  if (!type) throw new Error('This browser cannot record WebM');
+
+  draw_frame(renderer, player, 0);
+  const recorder = new MediaRecorder(renderer.canvas.captureStream(fps), { mimeType: type });
+  const chunks = [];
+  recorder.ondataavailable = (e) => {
+    if (e.data.size > 0) chunks.push(e.data);
+  };
+  const stopped = new Promise(resolve => {
+    recorder.onstop = resolve;
+  });
+  recorder.start();
+  for (let i = 0; i < player.frame_count; i++) {
+    draw_frame(renderer, player, i);
+    on_progress((i + 1) / player.frame_count);
+    await pause(1000 / fps);
+  }
+  recorder.stop();
+  await stopped;
+  return new Blob(chunks, { type: 'video/webm' });
+}
@@ -0,0 +1,40 @@
+// Browser speech for EVA: synthesis for replies and confirmations and
+// recognition for spoken commands. Both quietly do nothing where the browser
+// lacks the API.
+
+const PREFERRED_VOICES = ['Google', 'Samantha', 'Jenny', 'Zira', 'Susan'];
+
+export function speech_supported() {
+  return typeof window !== 'undefined' && ('SpeechRecognition' in window || 'webkitSpeechRecognition' in window);
+}
+
+// Says text in EVA's voice, cutting off whatever she was saying.
+export function speak(text) {
+  if (typeof window === 'undefined' || !window.speechSynthesis) return;
+  const synthesis = window.speechSynthesis;
+  if (synthesis.speaking) synthesis.cancel();
+  const utterance = new SpeechSynthesisUtterance(text);
+  utterance.lang = 'en-US';
+  utterance.pitch = 1.2;
+  const voices = synthesis.getVoices().filter(voice => voice.lang.startsWith('en'));
+  const voice = voices.find(v => v.name.toLowerCase().includes('female')) || voices.find(v => PREFERRED_VOICES.some(name => v.name.includes(name)));
+  if (voice) utterance.voice = voice;
+  synthesis.speak(utterance);
+}
+
+// Listens for one utterance: on_result(transcript) when heard, on_end() when
+// listening stops either way. Returns a stop function, or null when the
+// browser cannot recognise speech.
+export function listen({ on_result, on_end = () => {}, on_error = () => {} }) {
+  if (!speech_supported()) return null;
+  const Recognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+  const recognition = new Recognition();
+  recognition.continuous = false;
+  recognition.interimResults = false;
+  recognition.lang = 'en-US';
+  recognition.onresult = (event) => on_result(event.results[0][0].transcript);
+  recognition.onerror = (event) => on_error(event.error);
+  recognition.onend = on_end;
+  recognition.start();
+  return () => recognition.stop();
+}
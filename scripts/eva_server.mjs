@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+// Serves the pages and the EVA assistant endpoint from one origin.
+//
+//   node scripts/eva_server.mjs                      # local stand-in, no key needed
+//   GEMINI_API_KEY=... node scripts/eva_server.mjs --provider gemini
+//
+// The API key is read from the environment only and never sent to the page.
+import { createServer } from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { extname, join, normalize, resolve, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { ASSISTANT_PATH, create_assistant_handler } from '../assistant/server.mjs';
+import { PROVIDERS, create_provider } from '../assistant/providers.mjs';
+
+const USAGE = `Usage: node scripts/eva_server.mjs [options]
+
+  --provider <name>      ${Object.keys(PROVIDERS).join(' or ')} (default gemini when GEMINI_API_KEY is set, else local)
+  --model <name>         Gemini model (default gemini-2.0-flash-exp)
+  --port <n>             port to listen on (default 8000)
+  --host <name>          interface to bind (default 127.0.0.1)
+  -h, --help             show this message
+
+Environment:
+  GEMINI_API_KEY         key for the gemini provider`;
+
+const ROOT = resolve(fileURLToPath(new URL('..', import.meta.url)));
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.jsx': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json',
+  '.jpg': 'image/jpeg',
+  '.png': 'image/png'
+};
+
+async function serve_file(req, res) {
+  let path;
+  try {
+    path = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+  } catch {
+    res.writeHead(400).end('Bad request');
+    return;
+  }
+  const file = normalize(join(ROOT, path === '/' ? 'index.html' : path));
+  // Stay inside the repository and keep dot files such as .git private.
+  if (!file.startsWith(ROOT + sep) || file.slice(ROOT.length).split(sep).some(part => part.startsWith('.'))) {
+    res.writeHead(403).end();
+    return;
+  }
+  try {
+    const body = await readFile(file);
+    res.writeHead(200, { 'Content-Type': CONTENT_TYPES[extname(file)] || 'application/octet-stream' });
+    res.end(body);
+  } catch {
+    res.writeHead(404).end('Not found');
+  }
+}
+
+function main() {
+  const { values: args } = parseArgs({
+    options: {
+      provider: { type: 'string' },
+      model: { type: 'string' },
+      port: { type: 'string', default: '8000' },
+      host: { type: 'string', default: '127.0.0.1' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+  if (args.help) {
+    console.log(USAGE);
+    return;
+  }
+  const api_key = process.env.GEMINI_API_KEY;
+  const name = args.provider || (api_key ? 'gemini' : 'local');
+  const provider = create_provider(name, name === 'gemini' ? { api_key, ...(args.model ? { model: args.model } : {}) } : {});
+  const origin = `http://${args.host}:${args.port}`;
+  // Only the pages served here may use the assistant, under either loopback name.
+  const loopback = ['127.0.0.1', 'localhost'].includes(args.host) ? ['127.0.0.1', 'localhost'] : [args.host];
+  const assistant = create_assistant_handler(provider, { origins: loopback.map(host => `http://${host}:${args.port}`) });
+
+  // One bad request must not take the server down with it.
+  const server = createServer(async (req, res) => {
+    try {
+      if (!(await assistant(req, res))) await serve_file(req, res);
+    } catch (err) {
+      console.error(`eva_server: ${req.method} ${req.url} failed:`, err.message);
+      if (!res.headersSent) res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Internal server error' }));
+    }
+  });
+  server.listen(Number(args.port), args.host, () => {
+    console.log(`EVA (${provider.name}) at ${origin}${ASSISTANT_PATH}; pages at ${origin}/`);
+  });
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(`eva_server: ${err.message}`);
+  console.error(USAGE);
+  process.exitCode = 1;
+}
@@ -0,0 +1,312 @@
+#!/usr/bin/env node
+// Headless PSO parameter sweep.
+//
+//   node scripts/sweep.mjs --omega 0.4,0.7,0.9 --phi-g 1:2:0.5 --seeds 10 --format csv
+//   node scripts/sweep.mjs --strategy gbest,ring,cluster,greedy --seeds 20 --aggregate
+//   node scripts/sweep.mjs --adaptive none,linear,diversity,bandit --seeds 20 --aggregate
+//   node scripts/sweep.mjs --targeting fire,risk --seeds 20 --aggregate
+//   node scripts/sweep.mjs --launch edge --deploy-step 0 --waves 3 --seeds 20 --aggregate
+//   node scripts/sweep.mjs --strategy gbest,ring --sensor-radius 3 --comm-range 6 --seeds 20 --aggregate
+//
+// Every combination of --strategy, --targeting, --adaptive, --omega, --phi-p and --phi-g is run once per seed, each
+// run as fast as possible until the fire is contained or --max-steps is hit.
+// Values are comma lists or start:stop:step ranges.
+import { writeFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import {
+  CONTROLLERS,
+  DEFAULT_SENSING,
+  DEFAULT_UNITS,
+  DRONE_TYPES,
+  FIRE_PRESETS,
+  LAUNCH_SITES,
+  REFILL_POLICIES,
+  STRATEGIES,
+  Simulation,
+  TARGETING_LABELS,
+  resolve_sensing,
+  resolve_units
+} from '../sim/index.mjs';
+
+const USAGE = `Usage: node scripts/sweep.mjs [options]
+
+  --strategy <names>     comma list of gbest, ring, cluster, greedy (default gbest)
+  --targeting <names>    comma list of fire, risk (default fire)
+  --adaptive <names>     comma list of none, linear, diversity, bandit (default none);
+                         adaptive runs start from the given omega/phi values
+  --omega <values>       inertia values (default 0.7)
+  --phi-p <values>       personal coefficients (default 1.5)
+  --phi-g <values>       global coefficients (default 1.5)
+  --seeds <n>            seeds per combination (default 5)
+  --seed-start <n>       first seed (default 1)
+  --max-steps <n>        step limit per run (default 1000)
+  --drones <n>           drones per swarm (default 20)
+  --fleet <type:n,...>   mixed fleet, e.g. scout:6,standard:10,tanker:4 (overrides --drones)
+  --launch <site>        ${Object.keys(LAUNCH_SITES).join(', ')} (default random)
+  --deploy-step <n>      step the drones take off (default 10)
+  --waves <n>            launch waves the fleet is split into (default 1)
+  --wave-interval <n>    steps between waves (default 5)
+  --refill <policy>      least_congested, nearest or passive (default least_congested)
+  --sensor-radius <n>    limit drones to what they see within n cells (default: the whole map)
+  --comm-range <n>       with --sensor-radius, radio range in cells, or none for unlimited
+                         (default ${DEFAULT_SENSING.comm_range})
+  --forget-after <n>     with --sensor-radius, steps before an unseen fire is forgotten
+                         (default ${DEFAULT_SENSING.forget_after})
+  --width <n>            grid width (default 40)
+  --height <n>           grid height (default 20)
+  --fire-model <name>    fire spread preset: simple or realistic (default simple)
+  --terrain <name>       random (original) or procedural (default random)
+  --roughness <n>        procedural terrain roughness, 0-1 (default 0.5)
+  --cell-size <m>        metres per cell (default ${DEFAULT_UNITS.cell_size})
+  --step-seconds <s>     seconds per step (default ${DEFAULT_UNITS.step_seconds})
+  --drone-speed <m/s>    standard drone top speed (default ${DEFAULT_UNITS.drone_speed})
+  --extinguish-seconds <s>
+                         time to put out one cell (default ${DEFAULT_UNITS.extinguish_seconds})
+  --refill-seconds <s>   time to fill up with water (default ${DEFAULT_UNITS.refill_seconds})
+  --aggregate            one row per combination with means over seeds
+  --format <csv|json>    output format (default csv)
+  --out <file>           write to a file instead of stdout
+  -h, --help             show this message`;
+
+const COLUMNS = [
+  'strategy',
+  'targeting',
+  'adaptive',
+  'omega',
+  'phi_p',
+  'phi_g',
+  'seed',
+  'steps',
+  'trees_saved',
+  'trees_burnt',
+  'hectares_saved',
+  'hectares_burnt',
+  'total_extinguished',
+  'return_trips',
+  'refill_trips',
+  'idle_steps',
+  'drones_deployed',
+  'steps_to_first_drop',
+  'minutes_to_first_drop',
+  'steps_to_containment',
+  'minutes_to_containment'
+];
+
+function parse_values(text, name) {
+  const range = text.split(':');
+  if (range.length === 3) {
+    const [start, stop, step] = range.map(Number);
+    if (![start, stop, step].every(Number.isFinite) || step <= 0) {
+      throw new Error(`Invalid range for --${name}: ${text}`);
+    }
+    const values = [];
+    for (let v = start; v <= stop + step / 1e6; v += step) values.push(Number(v.toFixed(6)));
+    return values;
+  }
+  const values = text.split(',').map(Number);
+  if (values.some(v => !Number.isFinite(v))) throw new Error(`Invalid values for --${name}: ${text}`);
+  return values;
+}
+
+function parse_int(text, name) {
+  const value = Number(text);
+  if (!Number.isInteger(value) || value < 0) throw new Error(`--${name} must be a non-negative integer`);
+  return value;
+}
+
+function parse_fleet(text) {
+  return text.split(',').map(entry => {
+    const [type, count] = entry.split(':');
+    if (!DRONE_TYPES[type]) throw new Error(`Unknown drone type "${type}"; expected ${Object.keys(DRONE_TYPES).join(', ')}`);
+    return { type, count: parse_int(count, 'fleet') };
+  });
+}
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+function aggregate(rows) {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = `${row.strategy}|${row.targeting}|${row.adaptive}|${row.omega}|${row.phi_p}|${row.phi_g}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  }
+  return [...groups.values()].map(group => {
+    const contained = group.filter(r => r.steps_to_containment !== null);
+    return {
+      strategy: group[0].strategy,
+      targeting: group[0].targeting,
+      adaptive: group[0].adaptive,
+      omega: group[0].omega,
+      phi_p: group[0].phi_p,
+      phi_g: group[0].phi_g,
+      seed: `${group.length} seeds`,
+      steps: mean(group.map(r => r.steps)),
+      trees_saved: mean(group.map(r => r.trees_saved)),
+      trees_burnt: mean(group.map(r => r.trees_burnt)),
+      hectares_saved: mean(group.map(r => r.hectares_saved)),
+      hectares_burnt: mean(group.map(r => r.hectares_burnt)),
+      total_extinguished: mean(group.map(r => r.total_extinguished)),
+      return_trips: mean(group.map(r => r.return_trips)),
+      refill_trips: mean(group.map(r => r.refill_trips)),
+      idle_steps: mean(group.map(r => r.idle_steps)),
+      drones_deployed: mean(group.map(r => r.drones_deployed)),
+      steps_to_first_drop: mean(group.filter(r => r.steps_to_first_drop !== null).map(r => r.steps_to_first_drop)),
+      minutes_to_first_drop: mean(group.filter(r => r.minutes_to_first_drop !== null).map(r => r.minutes_to_first_drop)),
+      steps_to_containment: mean(contained.map(r => r.steps_to_containment)),
+      minutes_to_containment: mean(contained.map(r => r.minutes_to_containment)),
+      contained_runs: contained.length
+    };
+  });
+}
+
+function to_csv(rows, columns) {
+  const cell = value => {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'number' ? String(Number(value.toFixed(4))) : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns.join(','), ...rows.map(row => columns.map(c => cell(row[c])).join(','))].join('\n') + '\n';
+}
+
+function main() {
+  const { values: args } = parseArgs({
+    options: {
+      strategy: { type: 'string', default: 'gbest' },
+      targeting: { type: 'string', default: 'fire' },
+      adaptive: { type: 'string', default: 'none' },
+      omega: { type: 'string', default: '0.7' },
+      'phi-p': { type: 'string', default: '1.5' },
+      'phi-g': { type: 'string', default: '1.5' },
+      seeds: { type: 'string', default: '5' },
+      'seed-start': { type: 'string', default: '1' },
+      'max-steps': { type: 'string', default: '1000' },
+      drones: { type: 'string', default: '20' },
+      fleet: { type: 'string' },
+      launch: { type: 'string', default: 'random' },
+      'deploy-step': { type: 'string', default: '10' },
+      waves: { type: 'string', default: '1' },
+      'wave-interval': { type: 'string', default: '5' },
+      refill: { type: 'string', default: 'least_congested' },
+      'sensor-radius': { type: 'string' },
+      'comm-range': { type: 'string' },
+      'forget-after': { type: 'string' },
+      width: { type: 'string', default: '40' },
+      height: { type: 'string', default: '20' },
+      'fire-model': { type: 'string', default: 'simple' },
+      terrain: { type: 'string', default: 'random' },
+      roughness: { type: 'string', default: '0.5' },
+      'cell-size': { type: 'string' },
+      'step-seconds': { type: 'string' },
+      'drone-speed': { type: 'string' },
+      'extinguish-seconds': { type: 'string' },
+      'refill-seconds': { type: 'string' },
+      aggregate: { type: 'boolean', default: false },
+      format: { type: 'string', default: 'csv' },
+      out: { type: 'string' },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (args.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (args.format !== 'csv' && args.format !== 'json') throw new Error('--format must be csv or json');
+
+  const strategies = args.strategy.split(',');
+  for (const name of strategies) {
+    if (!STRATEGIES[name]) throw new Error(`Unknown strategy "${name}"; expected ${Object.keys(STRATEGIES).join(', ')}`);
+  }
+  const targetings = args.targeting.split(',');
+  for (const name of targetings) {
+    if (!TARGETING_LABELS[name]) throw new Error(`Unknown targeting "${name}"; expected ${Object.keys(TARGETING_LABELS).join(', ')}`);
+  }
+  const controllers = args.adaptive.split(',').map(name => (name === 'none' ? null : name));
+  for (const name of controllers) {
+    if (name && !CONTROLLERS[name]) throw new Error(`Unknown controller "${name}"; expected none, ${Object.keys(CONTROLLERS).join(', ')}`);
+  }
+  const omegas = parse_values(args.omega, 'omega');
+  const phi_ps = parse_values(args['phi-p'], 'phi-p');
+  const phi_gs = parse_values(args['phi-g'], 'phi-g');
+  const seeds = parse_int(args.seeds, 'seeds');
+  const seed_start = parse_int(args['seed-start'], 'seed-start');
+  const max_steps = parse_int(args['max-steps'], 'max-steps');
+  const preset = FIRE_PRESETS[args['fire-model']];
+  if (!preset) throw new Error(`--fire-model must be one of ${Object.keys(FIRE_PRESETS).join(', ')}`);
+  if (args.terrain !== 'random' && args.terrain !== 'procedural') throw new Error('--terrain must be random or procedural');
+  if (!LAUNCH_SITES[args.launch]) throw new Error(`--launch must be one of ${Object.keys(LAUNCH_SITES).join(', ')}`);
+  if (!REFILL_POLICIES.includes(args.refill)) throw new Error(`--refill must be one of ${REFILL_POLICIES.join(', ')}`);
+  const units = {};
+  for (const key of Object.keys(DEFAULT_UNITS)) {
+    const value = args[key.replace(/_/g, '-')];
+    if (value !== undefined) units[key] = Number(value);
+  }
+  resolve_units(units);
+  let sensing = null;
+  if (args['sensor-radius'] !== undefined) {
+    sensing = { sensor_radius: Number(args['sensor-radius']) };
+    if (args['comm-range'] !== undefined) sensing.comm_range = args['comm-range'] === 'none' ? null : Number(args['comm-range']);
+    if (args['forget-after'] !== undefined) sensing.forget_after = Number(args['forget-after']);
+    resolve_sensing(sensing);
+  } else if (args['comm-range'] !== undefined || args['forget-after'] !== undefined) {
+    throw new Error('--comm-range and --forget-after need --sensor-radius');
+  }
+  const roughness = Number(args.roughness);
+  if (!(roughness >= 0 && roughness <= 1)) throw new Error('--roughness must be between 0 and 1');
+  const options = {
+    ...preset,
+    terrain: args.terrain === 'procedural' ? { roughness } : null,
+    units,
+    sensing,
+    num_drones: parse_int(args.drones, 'drones'),
+    fleet: args.fleet ? parse_fleet(args.fleet) : null,
+    launch: args.launch,
+    deploy_step: parse_int(args['deploy-step'], 'deploy-step'),
+    waves: parse_int(args.waves, 'waves'),
+    wave_interval: parse_int(args['wave-interval'], 'wave-interval'),
+    refill_policy: args.refill,
+    width: parse_int(args.width, 'width'),
+    height: parse_int(args.height, 'height')
+  };
+
+  const rows = [];
+  for (const strategy of strategies) {
+    for (const targeting of targetings) {
+      for (const adaptive of controllers) {
+        for (const omega of omegas) {
+          for (const phi_p of phi_ps) {
+            for (const phi_g of phi_gs) {
+              for (let seed = seed_start; seed < seed_start + seeds; seed++) {
+                const sim = new Simulation({ ...options, seed, strategy, targeting, adaptive, omega, phi_p, phi_g });
+                const row = sim.run(max_steps);
+                // Report the starting parameters so rows group by configuration
+                // rather than by wherever a controller ended up.
+                rows.push({ ...row, omega, phi_p, phi_g, adaptive: adaptive || 'none' });
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+
+  const table = args.aggregate ? aggregate(rows) : rows;
+  const columns = args.aggregate ? [...COLUMNS, 'contained_runs'] : COLUMNS;
+  const output = args.format === 'json'
+    ? JSON.stringify(table.map(row => Object.fromEntries(columns.map(c => [c, row[c]]))), null, 2) + '\n'
+    : to_csv(table, columns);
+
+  if (args.out) writeFileSync(args.out, output);
+  else process.stdout.write(output);
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(`sweep: ${err.message}`);
+  console.error(USAGE);
+  process.exitCode = 1;
+}
@@ -0,0 +1,142 @@
+import { SeededRng } from './rng.mjs';
+
+// Controllers that tune omega/phi_p/phi_g online. Simulation calls
+// update(sim, { diversity, reward }) after every step the swarm flies and a
+// controller applies its choice through sim.set_parameters, so the values
+// show up wherever the run's parameters are read (UI, history, summary).
+//
+// Controllers that need randomness draw from their own stream seeded from
+// the run, leaving the fire and the drones' draws untouched. clone() copies
+// a controller mid-run for Simulation.snapshot.
+
+// Classic linearly decreasing inertia: explore early, exploit late. Each of
+// omega, phi_p and phi_g may be given as a [start, end] pair; the others are
+// left alone.
+export class LinearScheduleController {
+  constructor({ omega = [0.9, 0.4], phi_p = null, phi_g = null, steps = 200 } = {}) {
+    this.name = 'linear';
+    this.ranges = { omega, phi_p, phi_g };
+    this.steps = steps;
+    this.elapsed = 0;
+  }
+
+  update(sim) {
+    const t = Math.min(1, this.elapsed++ / this.steps);
+    const params = {};
+    for (const [key, range] of Object.entries(this.ranges)) {
+      if (range) params[key] = range[0] + (range[1] - range[0]) * t;
+    }
+    sim.set_parameters(params);
+  }
+
+  clone() {
+    return Object.assign(new LinearScheduleController(), this);
+  }
+}
+
+// Watches swarm diversity: when the drones have collapsed onto one spot it
+// re-scatters part of the swarm and boosts inertia, which then decays back
+// to the run's own omega over the cooldown.
+export class DiversityController {
+  constructor({ threshold = 0.08, fraction = 0.5, cooldown = 15, boost = 0.25 } = {}) {
+    this.name = 'diversity';
+    this.threshold = threshold;
+    this.fraction = fraction;
+    this.cooldown = cooldown;
+    this.boost = boost;
+    this.since_scatter = Infinity;
+    this.base_omega = null;
+    this.rng = null;
+    this.scatters = 0;
+  }
+
+  update(sim, { diversity }) {
+    if (this.base_omega === null) this.base_omega = sim.omega;
+    if (!this.rng) this.rng = new SeededRng(`${sim.seed}:adaptive`);
+    this.since_scatter++;
+    if (diversity < this.threshold && this.since_scatter >= this.cooldown) {
+      sim.swarm.rescatter(this.fraction, this.rng);
+      this.since_scatter = 0;
+      this.scatters++;
+    }
+    const decay = Math.max(0, 1 - this.since_scatter / this.cooldown);
+    sim.set_parameters({ omega: Math.min(1, this.base_omega + this.boost * decay) });
+  }
+
+  clone() {
+    return Object.assign(new DiversityController(), this, { rng: this.rng && this.rng.clone() });
+  }
+}
+
+export const BANDIT_ARMS = [
+  { omega: 0.4, phi_p: 1.5, phi_g: 2.0 },
+  { omega: 0.7, phi_p: 1.5, phi_g: 1.5 },
+  { omega: 0.9, phi_p: 2.0, phi_g: 1.0 },
+  { omega: 0.6, phi_p: 1.0, phi_g: 2.5 }
+];
+
+// Epsilon-greedy bandit over a few parameter sets. Each pull holds an arm
+// for `window` steps and scores it by the summed reward; estimates use a
+// constant step size so they follow a fire that changes character.
+export class BanditController {
+  constructor({ arms = BANDIT_ARMS, epsilon = 0.15, window = 5, step_size = 0.3 } = {}) {
+    this.name = 'bandit';
+    this.arms = arms;
+    this.epsilon = epsilon;
+    this.window = window;
+    this.step_size = step_size;
+    this.estimates = arms.map(() => 0);
+    this.pulls = arms.map(() => 0);
+    this.arm = -1;
+    this.held = 0;
+    this.total = 0;
+    this.rng = null;
+  }
+
+  choose() {
+    const untried = this.pulls.findIndex(n => n === 0);
+    if (untried >= 0) return untried;
+    if (this.rng.random() < this.epsilon) return Math.floor(this.rng.random() * this.arms.length);
+    return this.estimates.indexOf(Math.max(...this.estimates));
+  }
+
+  update(sim, { reward }) {
+    if (!this.rng) this.rng = new SeededRng(`${sim.seed}:adaptive`);
+    if (this.arm >= 0) {
+      this.total += reward;
+      if (++this.held < this.window) return;
+      this.pulls[this.arm]++;
+      this.estimates[this.arm] += this.step_size * (this.total - this.estimates[this.arm]);
+    }
+    this.arm = this.choose();
+    this.held = 0;
+    this.total = 0;
+    sim.set_parameters(this.arms[this.arm]);
+  }
+
+  clone() {
+    return Object.assign(new BanditController(), this, {
+      estimates: [...this.estimates],
+      pulls: [...this.pulls],
+      rng: this.rng && this.rng.clone()
+    });
+  }
+}
+
+export const CONTROLLERS = {
+  linear: LinearScheduleController,
+  diversity: DiversityController,
+  bandit: BanditController
+};
+
+export const CONTROLLER_LABELS = {
+  linear: 'Linearly decreasing inertia',
+  diversity: 'Diversity-triggered re-scatter',
+  bandit: 'Bandit over parameter sets'
+};
+
+export function create_controller(name, options = {}) {
+  const Controller = CONTROLLERS[name];
+  if (!Controller) throw new Error(`Unknown adaptive controller: ${name}`);
+  return new Controller(options);
+}
@@ -0,0 +1,59 @@
+import { Simulation } from './simulation.mjs';
+
+// Two configurations fighting the same fire: one Simulation is built from the
+// shared options and forked into panes a and b with their own overrides
+// (omega/phi, strategy, fleet...), which then step in lockstep.
+export class Comparison {
+  constructor(options = {}, overrides_a = {}, overrides_b = {}) {
+    const base = new Simulation(options);
+    this.seed = base.seed;
+    this.a = base.fork(overrides_a);
+    this.b = base.fork(overrides_b);
+  }
+
+  get step_count() {
+    return Math.max(this.a.step_count, this.b.step_count);
+  }
+
+  // A pane that has finished stops stepping while the other carries on.
+  step() {
+    if (!this.a.is_finished()) this.a.step();
+    if (!this.b.is_finished()) this.b.step();
+  }
+
+  is_finished() {
+    return this.a.is_finished() && this.b.is_finished();
+  }
+
+  run(max_steps = 1000) {
+    while (!this.is_finished() && this.step_count < max_steps) this.step();
+    return this.diff();
+  }
+
+  // Per-metric differences (a minus b) plus a cell-by-cell tally of trees
+  // one pane saved that the other lost.
+  diff() {
+    const sa = this.a.summary(), sb = this.b.summary();
+    let saved_only_a = 0, saved_only_b = 0;
+    for (let y = 0; y < this.a.env.height; y++) {
+      for (let x = 0; x < this.a.env.width; x++) {
+        const ca = this.a.env.grid[y][x], cb = this.b.env.grid[y][x];
+        if (!ca.burnt && cb.burnt && ca.tree) saved_only_a++;
+        else if (!cb.burnt && ca.burnt && cb.tree) saved_only_b++;
+      }
+    }
+    return {
+      a: sa,
+      b: sb,
+      trees_saved: sa.trees_saved - sb.trees_saved,
+      trees_burnt: sa.trees_burnt - sb.trees_burnt,
+      total_extinguished: sa.total_extinguished - sb.total_extinguished,
+      steps_to_containment:
+        sa.steps_to_containment !== null && sb.steps_to_containment !== null
+          ? sa.steps_to_containment - sb.steps_to_containment
+          : null,
+      saved_only_a,
+      saved_only_b
+    };
+  }
+}
@@ -0,0 +1 @@
+export const MAX_WATER_CAPACITY = 3;
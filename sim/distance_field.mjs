@@ -0,0 +1,76 @@
+const FAR = 1e20;
+
+// Squared distance transform of a sampled function (Felzenszwalb & Huttenlocher).
+function transform_1d(f, n, d, v, z) {
+  let k = 0;
+  v[0] = 0;
+  z[0] = -Infinity;
+  z[1] = Infinity;
+  for (let q = 1; q < n; q++) {
+    let s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+    while (s <= z[k]) {
+      k--;
+      s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+    }
+    k++;
+    v[k] = q;
+    z[k] = s;
+    z[k + 1] = Infinity;
+  }
+  k = 0;
+  for (let q = 0; q < n; q++) {
+    while (z[k + 1] < q) k++;
+    const dq = q - v[k];
+    d[q] = dq * dq + f[v[k]];
+  }
+}
+
+// Exact Euclidean distance from every cell to the nearest source cell, in
+// O(width * height). Cells are indexed y * width + x; with no sources every
+// entry is Infinity.
+export class DistanceField {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.values = new Float64Array(width * height).fill(Infinity);
+    this.source_count = 0;
+  }
+
+  get(x, y) {
+    return this.values[y * this.width + x];
+  }
+
+  rebuild(sources) {
+    const { width, height } = this;
+    const squared = new Float64Array(width * height).fill(FAR);
+    let count = 0;
+    for (const [x, y] of sources) {
+      if (squared[y * width + x] !== 0) count++;
+      squared[y * width + x] = 0;
+    }
+    this.source_count = count;
+    if (count === 0) {
+      this.values.fill(Infinity);
+      return this;
+    }
+
+    const n = Math.max(width, height);
+    const f = new Float64Array(n);
+    const d = new Float64Array(n);
+    const v = new Int32Array(n);
+    const z = new Float64Array(n + 1);
+
+    for (let x = 0; x < width; x++) {
+      for (let y = 0; y < height; y++) f[y] = squared[y * width + x];
+      transform_1d(f, height, d, v, z);
+      for (let y = 0; y < height; y++) squared[y * width + x] = d[y];
+    }
+    for (let y = 0; y < height; y++) {
+      const row = y * width;
+      for (let x = 0; x < width; x++) f[x] = squared[row + x];
+      transform_1d(f, width, d, v, z);
+      for (let x = 0; x < width; x++) this.values[row + x] = Math.sqrt(d[x]);
+    }
+    return this;
+  }
+}
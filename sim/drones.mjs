@@ -0,0 +1,86 @@
+import { MAX_WATER_CAPACITY } from './constants.mjs';
+
+// Per-type drone characteristics, in grid units at DEFAULT_UNITS (a run at
+// other units scales them with scale_drone_type): speeds in cells per step,
+// acceleration in cells per step per step, refill_time in steps, and
+// drops_per_step cells put out per step. Battery is in abstract charge
+// units; flying drains drain_per_cell for every cell travelled plus
+// drain_per_water per cell for each unit of water carried, and hovering
+// costs hover_drain per step. A drone heads home once the charge left,
+// after the trip back, would fall below reserve (a fraction of capacity).
+export const DRONE_TYPES = {
+  standard: {
+    label: 'Standard',
+    max_speed: 3,
+    max_accel: 1.5,
+    water_capacity: MAX_WATER_CAPACITY,
+    refill_time: 30,
+    drops_per_step: 3,
+    battery_capacity: 100,
+    drain_per_cell: 0.4,
+    drain_per_water: 0.1,
+    hover_drain: 0.2,
+    recharge_rate: 5,
+    reserve: 0.1
+  },
+  scout: {
+    label: 'Scout',
+    max_speed: 5,
+    max_accel: 3,
+    water_capacity: 1,
+    refill_time: 10,
+    drops_per_step: 1,
+    battery_capacity: 80,
+    drain_per_cell: 0.25,
+    drain_per_water: 0.1,
+    hover_drain: 0.1,
+    recharge_rate: 8,
+    reserve: 0.1
+  },
+  tanker: {
+    label: 'Heavy tanker',
+    max_speed: 1.5,
+    max_accel: 0.5,
+    water_capacity: 8,
+    refill_time: 45,
+    drops_per_step: 4,
+    battery_capacity: 200,
+    drain_per_cell: 0.8,
+    drain_per_water: 0.12,
+    hover_drain: 0.4,
+    recharge_rate: 6,
+    reserve: 0.15
+  }
+};
+
+// A fleet is a list of { type, count } entries; null means num_drones
+// standard drones. Returns one type name per drone.
+export function expand_fleet(fleet, num_drones = 20) {
+  if (!fleet) return Array(num_drones).fill('standard');
+  const types = [];
+  for (const { type = 'standard', count = 0 } of fleet) {
+    if (!DRONE_TYPES[type]) throw new Error(`Unknown drone type: ${type}`);
+    for (let k = 0; k < count; k++) types.push(type);
+  }
+  return types;
+}
+
+// Home bases are cells ({ x, y }) drones launch from, return to and recharge
+// at. Without any configured, one base sits at the middle of the bottom edge.
+export function default_bases(env) {
+  return [{ x: Math.floor(env.width / 2), y: env.height - 1 }];
+}
+
+export function normalize_bases(bases, env) {
+  const valid = (bases || []).filter(({ x, y }) =>
+    Number.isInteger(x) && Number.isInteger(y) && x >= 0 && x < env.width && y >= 0 && y < env.height
+  );
+  return valid.length > 0 ? valid.map(({ x, y }) => ({ x, y })) : default_bases(env);
+}
+
+// Charge needed to fly `distance` cells carrying `water` units, including
+// hovering for the steps the flight takes.
+export function flight_cost(type, distance, water) {
+  const steps = Math.ceil(distance / type.max_speed);
+  return distance * (type.drain_per_cell + type.drain_per_water * water) + steps * type.hover_drain;
+}
@@ -0,0 +1,348 @@
+import { DistanceField } from './distance_field.mjs';
+import { FUEL_TYPES, Wind, create_fire_model } from './fire_model.mjs';
+
+export class Cell {
+  constructor(elevation) {
+    this.tree = true;
+    this.fire = false;
+    this.burnt = false;
+    this.water = false;
+    // Cleared strip fire cannot enter or slip diagonally across.
+    this.firebreak = false;
+    this.elevation = elevation;
+    this.fire_cooldown = 0;
+    this.extinguished_by_drone = false;
+    this.fuel = 'forest';
+    this.fuel_load = 1;
+    this.moisture = 0.1;
+    this.burn_remaining = 0;
+  }
+
+  clone() {
+    return Object.assign(new Cell(this.elevation), this);
+  }
+
+  display() {
+    if (this.fire) return '🔥';
+    if (this.burnt) return this.extinguished_by_drone ? '🟩' : '⬛';
+    if (this.water) return '🔷';
+    if (this.firebreak) return '🟫';
+    if (this.tree) return '🌲';
+    return ' ';
+  }
+}
+
+// What the map editor can paint a cell as.
+export const PAINT_KINDS = ['tree', 'water', 'empty', 'firebreak'];
+
+export class Environment {
+  constructor(width = 40, height = 20, rng = Math, { fire_model = 'simple', wind = {}, elevation = null } = {}) {
+    this.width = width;
+    this.height = height;
+    this.rng = rng;
+    this.grid = [];
+    for (let y = 0; y < height; y++) {
+      this.grid[y] = [];
+      for (let x = 0; x < width; x++) {
+        this.grid[y][x] = new Cell(elevation ? elevation[y][x] : this.rng.random() * 100);
+      }
+    }
+    this.wind = wind instanceof Wind ? wind : new Wind(wind);
+    this.fire_model = typeof fire_model === 'string' ? create_fire_model(fire_model) : fire_model;
+    this.active_fires = [];
+    // Running total of cells that caught fire, however they were lit.
+    this.ignition_count = 0;
+    this.fire_field = new DistanceField(width, height);
+    this.water_field = new DistanceField(width, height);
+    this.fire_field_dirty = false;
+    this.water_field_dirty = true;
+    this.water_bodies_dirty = true;
+    this.bodies = [];
+  }
+
+  // An independent copy of the current state. The random stream is cloned
+  // too (when the source supports it), so a copy spreads fire exactly as the
+  // original would from here on.
+  clone(rng = typeof this.rng.clone === 'function' ? this.rng.clone() : this.rng) {
+    const copy = new Environment(this.width, this.height, rng, {
+      fire_model: this.fire_model,
+      wind: this.wind.clone(),
+      elevation: this.grid.map(row => row.map(cell => cell.elevation))
+    });
+    copy.grid = this.grid.map(row => row.map(cell => cell.clone()));
+    copy.active_fires = this.active_fires.map(([x, y]) => [x, y]);
+    copy.ignition_count = this.ignition_count;
+    copy.fire_field_dirty = true;
+    copy.mark_water_changed();
+    return copy;
+  }
+
+  // Every change to water cells goes through here so the distance field and
+  // the list of water bodies are rebuilt on next use.
+  mark_water_changed() {
+    this.water_field_dirty = true;
+    this.water_bodies_dirty = true;
+  }
+
+  // Random-walk lakes: between 2 and `count` of them, or exactly `count`.
+  add_water_blobs(count = 3, { exact = false } = {}) {
+    const num_blobs = exact ? count : Math.floor(this.rng.random() * (count - 1)) + 2;
+    for (let blob = 0; blob < num_blobs; blob++) {
+      const cx = Math.floor(this.rng.random() * (this.width - 8)) + 4;
+      const cy = Math.floor(this.rng.random() * (this.height - 8)) + 4;
+      const steps = Math.floor(this.rng.random() * 15) + 15;
+      let x = cx, y = cy;
+      for (let i = 0; i < steps; i++) {
+        if (x >= 0 && x < this.width && y >= 0 && y < this.height) {
+          this.grid[y][x].water = true;
+          this.grid[y][x].tree = false;
+          this.mark_water_changed();
+        }
+        x += Math.floor(this.rng.random() * 3) - 1;
+        y += Math.floor(this.rng.random() * 3) - 1;
+      }
+    }
+  }
+
+  set_water(x, y) {
+    if (x >= 0 && x < this.width && y >= 0 && y < this.height) {
+      const cell = this.grid[y][x];
+      if (cell.fire) this.extinguish_fire_at(x, y);
+      cell.water = true;
+      cell.tree = false;
+      cell.firebreak = false;
+      cell.burnt = false;
+      cell.extinguished_by_drone = false;
+      this.mark_water_changed();
+    }
+  }
+
+  // Editor brush: turns a cell into one of PAINT_KINDS, putting out any fire
+  // on it without crediting a drone.
+  paint(x, y, kind) {
+    if (!PAINT_KINDS.includes(kind)) throw new Error(`Unknown cell kind: ${kind}`);
+    if (x < 0 || x >= this.width || y < 0 || y >= this.height) return false;
+    const cell = this.grid[y][x];
+    const was_water = cell.water;
+    if (cell.fire) {
+      cell.fire = false;
+      this.active_fires = this.active_fires.filter(f => !(f[0] === x && f[1] === y));
+      this.fire_field_dirty = true;
+    }
+    cell.tree = kind === 'tree';
+    cell.water = kind === 'water';
+    cell.firebreak = kind === 'firebreak';
+    cell.burnt = false;
+    cell.extinguished_by_drone = false;
+    cell.fire_cooldown = 0;
+    cell.burn_remaining = 0;
+    if (cell.water !== was_water) this.mark_water_changed();
+    return true;
+  }
+
+  // Firebreak cells never hold fuel, so the only way past a drawn line is a
+  // diagonal step between two of its cells; that is blocked here.
+  crosses_firebreak(x, y, nx, ny) {
+    return nx !== x && ny !== y && this.grid[y][nx].firebreak && this.grid[ny][x].firebreak;
+  }
+
+  // Marks water from a boolean mask of rows, e.g. generated hydrology.
+  add_water_mask(mask) {
+    for (let y = 0; y < this.height; y++) {
+      for (let x = 0; x < this.width; x++) {
+        if (mask[y][x]) this.set_water(x, y);
+      }
+    }
+  }
+
+  ignite(x, y) {
+    if (x >= 0 && x < this.width && y >= 0 && y < this.height) {
+      const cell = this.grid[y][x];
+      if (cell.tree && !cell.fire && !cell.burnt && !cell.water) {
+        cell.fire = true;
+        this.fire_model.on_ignite(cell, true);
+        this.active_fires.push([x, y]);
+        this.ignition_count++;
+        this.fire_field_dirty = true;
+      }
+    }
+  }
+
+  // Random-walk patches of non-forest fuel with jittered moisture around
+  // base_moisture. Only used by the realistic fire model; the simple model
+  // ignores fuel entirely.
+  add_fuel_patches(count = 6, base_moisture = 0.1) {
+    const fuels = Object.keys(FUEL_TYPES).filter(f => f !== 'forest');
+    for (let patch = 0; patch < count; patch++) {
+      const fuel = fuels[Math.floor(this.rng.random() * fuels.length)];
+      const steps = Math.floor(this.rng.random() * 40) + 20;
+      let x = Math.floor(this.rng.random() * this.width);
+      let y = Math.floor(this.rng.random() * this.height);
+      for (let i = 0; i < steps; i++) {
+        if (x >= 0 && x < this.width && y >= 0 && y < this.height) {
+          this.grid[y][x].fuel = fuel;
+        }
+        x += Math.floor(this.rng.random() * 3) - 1;
+        y += Math.floor(this.rng.random() * 3) - 1;
+      }
+    }
+    for (const row of this.grid) {
+      for (const cell of row) {
+        cell.fuel_load = 0.6 + this.rng.random() * 0.8;
+        cell.moisture = Math.max(0, base_moisture * (0.7 + this.rng.random() * 0.6));
+      }
+    }
+  }
+
+  // Elevation gradient at a cell from its neighbours (central differences,
+  // one-sided at the map edge), in elevation units per cell.
+  slope_at(x, y) {
+    const elev = (xx, yy) => this.grid[yy][xx].elevation;
+    const x0 = Math.max(0, x - 1), x1 = Math.min(this.width - 1, x + 1);
+    const y0 = Math.max(0, y - 1), y1 = Math.min(this.height - 1, y + 1);
+    const gx = x1 > x0 ? (elev(x1, y) - elev(x0, y)) / (x1 - x0) : 0;
+    const gy = y1 > y0 ? (elev(x, y1) - elev(x, y0)) / (y1 - y0) : 0;
+    return [gx, gy];
+  }
+
+  spread_fire() {
+    const model = this.fire_model;
+    const new_fires = [];
+    const still_active = [];
+
+    this.wind.step(this.rng);
+
+    for (let [x, y] of this.active_fires) {
+      const cell = this.grid[y][x];
+
+      if (model.burns_out(this, cell)) {
+        cell.fire = false;
+        cell.burnt = true;
+        model.on_burnout(cell);
+        cell.extinguished_by_drone = false;
+        continue;
+      }
+
+      if (model.can_spread(cell)) {
+        for (let dx = -1; dx <= 1; dx++) {
+          for (let dy = -1; dy <= 1; dy++) {
+            if (dx === 0 && dy === 0) continue;
+            const nx = x + dx, ny = y + dy;
+            if (nx >= 0 && nx < this.width && ny >= 0 && ny < this.height) {
+              const ncell = this.grid[ny][nx];
+              if (ncell.tree && !ncell.fire && !ncell.burnt && !ncell.water && !this.crosses_firebreak(x, y, nx, ny)) {
+                if (this.rng.random() < model.ignition_probability(this, x, y, nx, ny)) {
+                  ncell.fire = true;
+                  model.on_ignite(ncell, false);
+                  new_fires.push([nx, ny]);
+                }
+              }
+            }
+          }
+        }
+        model.after_spread(cell);
+      }
+      still_active.push([x, y]);
+    }
+
+    if (new_fires.length > 0 || still_active.length !== this.active_fires.length) this.fire_field_dirty = true;
+    this.ignition_count += new_fires.length;
+    this.active_fires = still_active.filter(([x, y]) => this.grid[y][x].fire).concat(new_fires);
+  }
+
+  extinguish_fire_at(x, y) {
+    if (x >= 0 && x < this.width && y >= 0 && y < this.height) {
+      const cell = this.grid[y][x];
+      if (cell.fire) {
+        cell.fire = false;
+        cell.burnt = true;
+        cell.tree = false;
+        cell.fire_cooldown = 0;
+        cell.extinguished_by_drone = true;
+        this.active_fires = this.active_fires.filter(f => !(f[0] === x && f[1] === y));
+        this.fire_field_dirty = true;
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // Distance fields are rebuilt lazily: every change marks them dirty and the
+  // first lookup afterwards pays one O(width * height) transform.
+  nearest_fire_distance(x, y) {
+    if (this.fire_field_dirty) {
+      this.fire_field.rebuild(this.active_fires);
+      this.fire_field_dirty = false;
+    }
+    return this.fire_field.get(x, y);
+  }
+
+  nearest_water_distance(x, y) {
+    if (this.water_field_dirty) {
+      const sources = [];
+      for (let yy = 0; yy < this.height; yy++) {
+        for (let xx = 0; xx < this.width; xx++) {
+          if (this.grid[yy][xx].water) sources.push([xx, yy]);
+        }
+      }
+      this.water_field.rebuild(sources);
+      this.water_field_dirty = false;
+    }
+    return this.water_field.get(x, y);
+  }
+
+  // Connected (4-neighbour) groups of water cells, each a list of [x, y].
+  // The array is replaced whenever water changes, so callers can detect a
+  // rebuild by identity.
+  water_bodies() {
+    if (this.water_bodies_dirty) {
+      const seen = new Uint8Array(this.width * this.height);
+      this.bodies = [];
+      for (let y = 0; y < this.height; y++) {
+        for (let x = 0; x < this.width; x++) {
+          if (!this.grid[y][x].water || seen[y * this.width + x]) continue;
+          const body = [[x, y]];
+          seen[y * this.width + x] = 1;
+          for (let k = 0; k < body.length; k++) {
+            const [cx, cy] = body[k];
+            for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+              const nx = cx + dx, ny = cy + dy;
+              if (nx < 0 || nx >= this.width || ny < 0 || ny >= this.height) continue;
+              if (this.grid[ny][nx].water && !seen[ny * this.width + nx]) {
+                seen[ny * this.width + nx] = 1;
+                body.push([nx, ny]);
+              }
+            }
+          }
+          this.bodies.push(body);
+        }
+      }
+      this.water_bodies_dirty = false;
+    }
+    return this.bodies;
+  }
+
+  get_attraction_matrix() {
+    const matrix = Array(this.height).fill(0).map(() => Array(this.width).fill(0));
+    for (let y = 0; y < this.height; y++) {
+      for (let x = 0; x < this.width; x++) {
+        const cell = this.grid[y][x];
+        if (cell.fire) matrix[y][x] = 5;
+        else if (cell.burnt) matrix[y][x] = 4;
+        else if (cell.water) matrix[y][x] = 3;
+      }
+    }
+    return matrix;
+  }
+
+  count_trees() {
+    let saved = 0, burnt = 0;
+    for (let row of this.grid) {
+      for (let cell of row) {
+        if (cell.tree) saved++;
+        else if (cell.burnt) burnt++;
+      }
+    }
+    return [saved, burnt];
+  }
+}
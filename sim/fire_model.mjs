@@ -0,0 +1,192 @@
+// Fuel behaviour per vegetation type. spread_rate scales ignition chance,
+// burn_steps is how long one unit of fuel_load keeps a cell burning and
+// moisture_of_extinction is the moisture content at which it stops carrying fire.
+export const FUEL_TYPES = {
+  grass: { spread_rate: 2.0, burn_steps: 3, moisture_of_extinction: 0.15 },
+  shrub: { spread_rate: 1.4, burn_steps: 6, moisture_of_extinction: 0.25 },
+  forest: { spread_rate: 1.0, burn_steps: 10, moisture_of_extinction: 0.3 },
+  slash: { spread_rate: 0.8, burn_steps: 16, moisture_of_extinction: 0.35 }
+};
+
+const DEG = Math.PI / 180;
+
+// direction is where the wind blows toward, in degrees: 0 = +x (east),
+// 90 = +y (down the grid). With variability and gust_chance at 0 the wind
+// never changes and never draws from the RNG.
+export class Wind {
+  constructor({ direction = 0, speed = 1, variability = 0, gust_chance = 0, gust_strength = 1.8, gust_steps = 3 } = {}) {
+    this.base_direction = direction;
+    this.base_speed = speed;
+    this.direction = direction;
+    this.speed = speed;
+    this.variability = variability;
+    this.gust_chance = gust_chance;
+    this.gust_strength = gust_strength;
+    this.gust_steps = gust_steps;
+    this.gust_remaining = 0;
+  }
+
+  set_base({ direction = this.base_direction, speed = this.base_speed } = {}) {
+    this.base_direction = direction;
+    this.base_speed = speed;
+    if (this.variability === 0) {
+      this.direction = direction;
+      this.speed = speed;
+    }
+  }
+
+  step(rng) {
+    if (this.variability > 0) {
+      // Random walk around the base direction, pulled back so it cannot drift away for good.
+      const drift = (rng.random() - 0.5) * 2 * this.variability * 45;
+      const pull = (((this.base_direction - this.direction + 540) % 360) - 180) * 0.1;
+      this.direction = (this.direction + drift + pull + 360) % 360;
+      const noise = (rng.random() - 0.5) * this.variability * this.base_speed;
+      this.speed = Math.max(0, this.speed + (this.base_speed - this.speed) * 0.2 + noise);
+    }
+    if (this.gust_remaining > 0) this.gust_remaining--;
+    if (this.gust_chance > 0 && this.gust_remaining === 0 && rng.random() < this.gust_chance) {
+      this.gust_remaining = this.gust_steps;
+    }
+  }
+
+  current_speed() {
+    return this.gust_remaining > 0 ? this.speed * this.gust_strength : this.speed;
+  }
+
+  vector() {
+    const speed = this.current_speed();
+    return [Math.cos(this.direction * DEG) * speed, Math.sin(this.direction * DEG) * speed];
+  }
+
+  // The neighbour offset the wind points at, snapped to the 8 compass directions.
+  cell_offset() {
+    const dx = Math.round(Math.cos(this.direction * DEG));
+    const dy = Math.round(Math.sin(this.direction * DEG));
+    return [dx === 0 ? 0 : dx, dy === 0 ? 0 : dy];
+  }
+
+  clone() {
+    return Object.assign(new Wind(), this);
+  }
+}
+
+// The original model: fixed 0.05 base chance, linear elevation term, +0.08
+// toward the single wind neighbour, 3% burnout roll and a 2-step cooldown
+// between spread attempts. A cell that burns out keeps its tree, as it always
+// did, so count_trees still reports it as saved.
+export class SimpleFireModel {
+  constructor() {
+    this.name = 'simple';
+  }
+
+  on_ignite(cell, initial) {
+    cell.fire_cooldown = initial ? 3 : 2;
+  }
+
+  burns_out(env, cell) {
+    if (cell.fire_cooldown > 0) cell.fire_cooldown--;
+    return env.rng.random() < 0.03;
+  }
+
+  on_burnout() {}
+
+  can_spread(cell) {
+    return cell.fire_cooldown === 0;
+  }
+
+  after_spread(cell) {
+    cell.fire_cooldown = 2;
+  }
+
+  ignition_probability(env, x, y, nx, ny) {
+    const cell = env.grid[y][x];
+    const ncell = env.grid[ny][nx];
+    const [wx, wy] = env.wind.cell_offset();
+    const elev_diff = ncell.elevation - cell.elevation;
+    let base_prob = 0.05 + elev_diff * 0.003;
+    if (nx - x === wx && ny - y === wy) base_prob += 0.08;
+    return Math.min(Math.max(base_prob, 0.005), 0.4);
+  }
+}
+
+// Fuel-driven model: cells burn for a time set by their fuel type and load,
+// ignition chance scales with fuel, dries with moisture, and is stretched
+// along the wind and up the local terrain slope.
+export class RealisticFireModel {
+  constructor({ base_rate = 0.06, wind_factor = 0.12, slope_factor = 0.04, max_probability = 0.9 } = {}) {
+    this.name = 'realistic';
+    this.base_rate = base_rate;
+    this.wind_factor = wind_factor;
+    this.slope_factor = slope_factor;
+    this.max_probability = max_probability;
+  }
+
+  on_ignite(cell) {
+    const fuel = FUEL_TYPES[cell.fuel] || FUEL_TYPES.forest;
+    cell.burn_remaining = Math.max(1, Math.round(fuel.burn_steps * cell.fuel_load));
+  }
+
+  burns_out(env, cell) {
+    cell.burn_remaining--;
+    return cell.burn_remaining <= 0;
+  }
+
+  // Its fuel is spent, so the cell no longer counts as a tree.
+  on_burnout(cell) {
+    cell.tree = false;
+  }
+
+  can_spread() {
+    return true;
+  }
+
+  after_spread() {}
+
+  ignition_probability(env, x, y, nx, ny) {
+    const ncell = env.grid[ny][nx];
+    const fuel = FUEL_TYPES[ncell.fuel] || FUEL_TYPES.forest;
+    const moisture = Math.max(0, 1 - ncell.moisture / fuel.moisture_of_extinction);
+    if (moisture === 0 || ncell.fuel_load <= 0) return 0;
+
+    const dx = nx - x, dy = ny - y;
+    const dist = Math.hypot(dx, dy);
+    const [wx, wy] = env.wind.vector();
+    const wind_along = (wx * dx + wy * dy) / dist;
+    const [gx, gy] = env.slope_at(x, y);
+    const uphill = (gx * dx + gy * dy) / dist;
+
+    const wind = Math.exp(this.wind_factor * wind_along);
+    const slope = Math.min(4, Math.max(0.25, Math.exp(this.slope_factor * uphill)));
+    const load = 0.5 + 0.5 * Math.min(ncell.fuel_load, 2);
+    const p = this.base_rate * fuel.spread_rate * load * moisture * wind * slope / dist;
+    return Math.min(p, this.max_probability);
+  }
+}
+
+export const FIRE_MODELS = {
+  simple: SimpleFireModel,
+  realistic: RealisticFireModel
+};
+
+export function create_fire_model(name = 'simple', options = {}) {
+  const Model = FIRE_MODELS[name];
+  if (!Model) throw new Error(`Unknown fire model: ${name}`);
+  return new Model(options);
+}
+
+// Simulation option sets. "simple" reproduces the original behaviour exactly.
+export const FIRE_PRESETS = {
+  simple: {
+    fire_model: 'simple',
+    wind: { direction: 0, speed: 1, variability: 0, gust_chance: 0 },
+    fuel_moisture: 0.1,
+    fuel_patches: 0
+  },
+  realistic: {
+    fire_model: 'realistic',
+    wind: { direction: 0, speed: 5, variability: 0.3, gust_chance: 0.05, gust_strength: 1.8 },
+    fuel_moisture: 0.08,
+    fuel_patches: 6
+  }
+};
@@ -0,0 +1,56 @@
+import { SeededRng } from './rng.mjs';
+
+// horizon: steps to look ahead; rollouts: copies of the fire to burn forward;
+// every: how many steps a forecast stays in use before Simulation redoes it.
+export const DEFAULT_FORECAST = { horizon: 10, rollouts: 20, every: 5 };
+
+// Monte-Carlo spread forecast. Each rollout burns a copy of the map forward
+// `horizon` steps with the map's own fire model (wind drift and gusts
+// included) from its own random stream, with no drones. The result holds, per
+// cell (y * width + x), the fraction of rollouts in which it caught fire;
+// cells burning now are left at 0. The map itself is not touched.
+export function forecast_spread(env, { horizon = DEFAULT_FORECAST.horizon, rollouts = DEFAULT_FORECAST.rollouts, seed = 0 } = {}) {
+  const { width, height } = env;
+  const probabilities = new Float32Array(width * height);
+  if (env.active_fires.length === 0 || rollouts <= 0) return probabilities;
+
+  const burning = new Uint8Array(width * height);
+  for (const [x, y] of env.active_fires) burning[y * width + x] = 1;
+  const rng = new SeededRng(seed);
+  const lit = new Uint8Array(width * height);
+  for (let r = 0; r < rollouts; r++) {
+    const copy = env.clone(new SeededRng(Math.floor(rng.random() * 0x100000000)));
+    lit.fill(0);
+    for (let step = 0; step < horizon && copy.active_fires.length > 0; step++) {
+      copy.spread_fire();
+      for (const [x, y] of copy.active_fires) lit[y * width + x] = 1;
+    }
+    for (let k = 0; k < lit.length; k++) {
+      if (lit[k] && !burning[k]) probabilities[k] += 1 / rollouts;
+    }
+  }
+  return probabilities;
+}
+
+// How much unburnt ground a burning cell threatens: the summed ignition
+// probabilities of its 8 neighbours. Near 0 inside a fire, highest on the
+// downwind and uphill edge next to forest.
+export function front_threat(probabilities, width, height, x, y) {
+  let threat = 0;
+  for (let dy = -1; dy <= 1; dy++) {
+    for (let dx = -1; dx <= 1; dx++) {
+      const nx = x + dx, ny = y + dy;
+      if ((dx === 0 && dy === 0) || nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+      threat += probabilities[ny * width + nx];
+    }
+  }
+  return threat;
+}
+
+// What drones go for: 'fire' any burning cell (the original fitness), 'risk'
+// the burning cells on the fire's leading edge and the forecast's high-risk
+// ground ahead of it, using the forecast Simulation keeps for the swarm.
+export const TARGETING_LABELS = {
+  fire: 'Any burning cell',
+  risk: 'Fire front and forecast risk'
+};
@@ -0,0 +1,66 @@
+// Per-step record of a run, one row per step: the drone columns are null
+// until the swarm deploys.
+export const HISTORY_FIELDS = [
+  'step',
+  'active_fires',
+  'trees_burnt',
+  'trees_saved',
+  'extinguished',
+  'diversity',
+  'average_water',
+  'gbest_fitness',
+  'reward',
+  'omega',
+  'phi_p',
+  'phi_g'
+];
+
+export class RunHistory {
+  constructor() {
+    this.rows = [];
+  }
+
+  get length() {
+    return this.rows.length;
+  }
+
+  record(sim) {
+    const [saved, burnt] = sim.env.count_trees();
+    const swarm = sim.swarm;
+    this.rows.push({
+      step: sim.step_count,
+      active_fires: sim.env.active_fires.length,
+      trees_burnt: burnt,
+      trees_saved: saved,
+      extinguished: sim.total_extinguished,
+      diversity: sim.diversity,
+      average_water: swarm ? swarm.average_water() : null,
+      gbest_fitness: swarm && Number.isFinite(swarm.gbest_value) ? swarm.gbest_value : null,
+      reward: sim.reward,
+      omega: sim.omega,
+      phi_p: sim.phi_p,
+      phi_g: sim.phi_g
+    });
+  }
+
+  column(field) {
+    return this.rows.map(row => row[field]);
+  }
+
+  peak(field) {
+    let peak = null;
+    for (const row of this.rows) if (row[field] !== null && (peak === null || row[field] > peak)) peak = row[field];
+    return peak;
+  }
+
+  to_csv() {
+    const cell = value => (value === null ? '' : String(typeof value === 'number' ? Number(value.toFixed(6)) : value));
+    const lines = [HISTORY_FIELDS.join(',')];
+    for (const row of this.rows) lines.push(HISTORY_FIELDS.map(field => cell(row[field])).join(','));
+    return lines.join('\n') + '\n';
+  }
+
+  to_json(summary = null) {
+    return JSON.stringify({ summary, fields: HISTORY_FIELDS, rows: this.rows }, null, 2) + '\n';
+  }
+}
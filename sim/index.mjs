@@ -0,0 +1,59 @@
+export * from './constants.mjs';
+export {
+  BANDIT_ARMS,
+  BanditController,
+  CONTROLLERS,
+  CONTROLLER_LABELS,
+  DiversityController,
+  LinearScheduleController,
+  create_controller
+} from './adaptive.mjs';
+export { DRONE_TYPES, default_bases, expand_fleet, flight_cost, normalize_bases } from './drones.mjs';
+export { HISTORY_FIELDS, RunHistory } from './history.mjs';
+export { REFILL_POLICIES, RefillPlanner, fire_value, most_valuable_fire } from './logistics.mjs';
+export {
+  REPLAY_FORMAT,
+  REPLAY_MODES,
+  REPLAY_VERSION,
+  ReplayPlayer,
+  ReplayRecorder,
+  parse_replay_json
+} from './replay.mjs';
+export { DEFAULT_FORECAST, TARGETING_LABELS, forecast_spread, front_threat } from './forecast.mjs';
+export { SeededRng } from './rng.mjs';
+export { BELIEF_STATES, BeliefMap, DEFAULT_SENSING, resolve_sensing } from './sensing.mjs';
+export { DEFAULT_UNITS, cells_to_hectares, resolve_units, scale_drone_type, steps_to_minutes } from './units.mjs';
+export { Cell, Environment, PAINT_KINDS } from './environment.mjs';
+export { FIRE_MODELS, FIRE_PRESETS, FUEL_TYPES, RealisticFireModel, SimpleFireModel, Wind, create_fire_model } from './fire_model.mjs';
+export {
+  CELL_CODES,
+  FUEL_CODES,
+  SCENARIO_FORMAT,
+  SCENARIO_VERSION,
+  apply_cell_code,
+  cell_code,
+  elevation_from_image_data,
+  export_scenario,
+  load_scenario,
+  parse_ascii_grid,
+  parse_scenario_json,
+  resample_grid,
+  scenario_from_elevation,
+  validate_scenario
+} from './scenario.mjs';
+export { DEFAULT_TERRAIN, fill_depressions, find_water, flow_accumulation, generate_heights, generate_terrain } from './terrain.mjs';
+export {
+  ClusterAssignmentStrategy,
+  GlobalBestStrategy,
+  GreedyStrategy,
+  RingStrategy,
+  STRATEGIES,
+  STRATEGY_LABELS,
+  cluster_fires,
+  create_strategy,
+  hungarian
+} from './strategies.mjs';
+export { Comparison } from './comparison.mjs';
+export { DroneSwarm, LAUNCH_SITES } from './swarm.mjs';
+export { DEFAULT_OPTIONS, STANDALONE_OPTIONS, Simulation } from './simulation.mjs';
+export { Timeline } from './timeline.mjs';
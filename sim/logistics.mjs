@@ -0,0 +1,228 @@
+// Water logistics for drones that have run dry. Each water body is a refill
+// station with a number of slots (one per cells_per_slot cells); a drone
+// flies to the station its policy picks, waits in a first-come queue if every
+// slot is taken, fills up, and is then dispatched to the most valuable fire.
+//
+// Policies: 'least_congested' minimises flight plus expected queueing time,
+// 'nearest' minimises flight only, and 'passive' keeps the original
+// behaviour (drones refill only when PSO happens to park them on water).
+export const REFILL_POLICIES = ['least_congested', 'nearest', 'passive'];
+
+// How much a fire cell is worth attacking: the unburnt trees around it it
+// could spread to, discounted by the steps needed to get there.
+export function fire_value(env, [x, y], pos, max_speed) {
+  let threatened = 0;
+  for (let dy = -1; dy <= 1; dy++) {
+    for (let dx = -1; dx <= 1; dx++) {
+      const nx = x + dx, ny = y + dy;
+      if ((dx === 0 && dy === 0) || nx < 0 || nx >= env.width || ny < 0 || ny >= env.height) continue;
+      const cell = env.grid[ny][nx];
+      if (cell.tree && !cell.fire && !cell.burnt) threatened++;
+    }
+  }
+  const steps = Math.hypot(x + 0.5 - pos[0], y + 0.5 - pos[1]) / max_speed;
+  return threatened / (1 + steps);
+}
+
+export function most_valuable_fire(env, pos, max_speed, fires = env.active_fires) {
+  let best = null, best_value = -Infinity;
+  for (const fire of fires) {
+    const value = fire_value(env, fire, pos, max_speed);
+    if (value > best_value) {
+      best_value = value;
+      best = fire;
+    }
+  }
+  return best;
+}
+
+export class RefillPlanner {
+  constructor(swarm, { policy = 'least_congested', cells_per_slot = 4 } = {}) {
+    this.swarm = swarm;
+    this.policy = policy;
+    this.cells_per_slot = cells_per_slot;
+    this.bodies = null;
+    this.stations = [];
+    const n = swarm.num_drones;
+    // Per drone: station index (-1 when not refilling), the cell it is
+    // heading for, and 'flying' | 'queued' | 'filling'.
+    this.station_of = Array(n).fill(-1);
+    this.target = Array(n).fill(null);
+    this.state = Array(n).fill(null);
+    // Fire cell a freshly filled drone flies to before rejoining the strategy.
+    this.dispatch = Array(n).fill(null);
+    this.refill_trips = 0;
+    this.idle_steps = 0;
+  }
+
+  // Room for `count` drones that have just joined the swarm.
+  add_drones(count) {
+    const none = Array(count).fill(null);
+    this.station_of = [...this.station_of, ...Array(count).fill(-1)];
+    this.target = [...this.target, ...none];
+    this.state = [...this.state, ...none];
+    this.dispatch = [...this.dispatch, ...none];
+  }
+
+  get enabled() {
+    return this.policy !== 'passive';
+  }
+
+  // A copy serving `swarm` (a clone of this planner's swarm). When the
+  // stations are up to date they are bound to the cloned map's water bodies,
+  // so the copy does not rebuild them (and unbind every drone) on its next
+  // sync where the original would not.
+  clone(swarm) {
+    const copy = Object.assign(Object.create(RefillPlanner.prototype), this);
+    copy.swarm = swarm;
+    if (this.bodies !== null && this.bodies === this.swarm.env.water_bodies()) copy.bodies = swarm.env.water_bodies();
+    copy.stations = this.stations.map(station => ({
+      cells: station.cells,
+      slots: station.slots,
+      incoming: new Set(station.incoming),
+      queue: [...station.queue],
+      filling: new Set(station.filling)
+    }));
+    copy.station_of = [...this.station_of];
+    copy.target = [...this.target];
+    copy.state = [...this.state];
+    copy.dispatch = [...this.dispatch];
+    return copy;
+  }
+
+  // Rebuilds the stations when the map's water changed. Drones bound for the
+  // old stations are unbound and plan again on their next update.
+  sync() {
+    const bodies = this.swarm.env.water_bodies();
+    if (bodies === this.bodies) return;
+    this.bodies = bodies;
+    this.stations = bodies.map(cells => ({
+      cells,
+      slots: Math.max(1, Math.floor(cells.length / this.cells_per_slot)),
+      incoming: new Set(),
+      queue: [],
+      filling: new Set()
+    }));
+    this.station_of.fill(-1);
+    this.target.fill(null);
+    this.state.fill(null);
+  }
+
+  nearest_cell(station, pos) {
+    let best = null, best_dist = Infinity;
+    for (const cell of station.cells) {
+      const d = Math.hypot(cell[0] + 0.5 - pos[0], cell[1] + 0.5 - pos[1]);
+      if (d < best_dist) {
+        best_dist = d;
+        best = cell;
+      }
+    }
+    return [best, best_dist];
+  }
+
+  // Expected steps until drone i has a full tank at a station.
+  cost(i, station) {
+    const type = this.swarm.types[i];
+    const [, dist] = this.nearest_cell(station, this.swarm.positions[i]);
+    const travel = dist / type.max_speed;
+    if (this.policy === 'nearest') return travel;
+    const ahead = station.incoming.size + station.queue.length + station.filling.size;
+    const wait = (Math.max(0, ahead - station.slots + 1) / station.slots) * type.refill_time;
+    return travel + wait;
+  }
+
+  // Picks a station for an empty drone. Returns false when the map has no
+  // water, in which case the caller sends the drone home to reload.
+  plan(i) {
+    let best = -1, best_cost = Infinity;
+    this.stations.forEach((station, s) => {
+      const cost = this.cost(i, station);
+      if (cost < best_cost) {
+        best_cost = cost;
+        best = s;
+      }
+    });
+    if (best < 0) return false;
+    const station = this.stations[best];
+    this.station_of[i] = best;
+    this.target[i] = this.nearest_cell(station, this.swarm.positions[i])[0];
+    this.state[i] = 'flying';
+    station.incoming.add(i);
+    return true;
+  }
+
+  begin(i) {
+    this.sync();
+    this.dispatch[i] = null;
+    if (!this.plan(i)) return false;
+    this.refill_trips++;
+    return true;
+  }
+
+  // Drops drone i from whatever station it was using.
+  release(i) {
+    const s = this.station_of[i];
+    if (s < 0) return;
+    const station = this.stations[s];
+    station.incoming.delete(i);
+    station.filling.delete(i);
+    const q = station.queue.indexOf(i);
+    if (q >= 0) station.queue.splice(q, 1);
+    this.station_of[i] = -1;
+    this.target[i] = null;
+    this.state[i] = null;
+  }
+
+  // Cell centre drone i is flying to, or null to hold position.
+  waypoint(i) {
+    if (this.station_of[i] >= 0) {
+      if (this.state[i] !== 'flying') return null;
+      return this.swarm.cell_centre(...this.target[i]);
+    }
+    const fire = this.dispatch[i];
+    if (!fire) return null;
+    const [x, y] = fire;
+    const pos = this.swarm.positions[i];
+    if (!this.swarm.believes_fire(x, y, i) || Math.hypot(x + 0.5 - pos[0], y + 0.5 - pos[1]) < 1) {
+      this.dispatch[i] = null;
+      return null;
+    }
+    return this.swarm.cell_centre(x, y);
+  }
+
+  // Advances drone i through arrive, queue and fill. Returns true once its
+  // tank is full again.
+  update(i) {
+    const s = this.station_of[i];
+    const station = this.stations[s];
+    const type = this.swarm.types[i];
+    if (this.state[i] === 'flying') {
+      const [cx, cy] = this.swarm.cell_centre(...this.target[i]);
+      const pos = this.swarm.positions[i];
+      if (Math.hypot(cx - pos[0], cy - pos[1]) >= 0.5) return false;
+      this.swarm.positions[i] = [cx, cy];
+      this.swarm.velocities[i] = [0, 0];
+      station.incoming.delete(i);
+      station.queue.push(i);
+      this.state[i] = 'queued';
+    }
+    if (this.state[i] === 'queued') {
+      if (station.queue[0] !== i || station.filling.size >= station.slots) {
+        this.idle_steps++;
+        return false;
+      }
+      station.queue.shift();
+      station.filling.add(i);
+      this.state[i] = 'filling';
+      this.swarm.refill_timers[i] = 0;
+    }
+    this.swarm.refill_timers[i]++;
+    if (this.swarm.refill_timers[i] < type.refill_time) return false;
+
+    this.swarm.water_left[i] = type.water_capacity;
+    this.swarm.refill_timers[i] = 0;
+    this.release(i);
+    this.dispatch[i] = most_valuable_fire(this.swarm.env, this.swarm.positions[i], type.max_speed, this.swarm.known_fires(i));
+    return true;
+  }
+}
@@ -0,0 +1,219 @@
+import { DRONE_TYPES } from './drones.mjs';
+import { apply_cell_code, cell_code, export_scenario, load_scenario } from './scenario.mjs';
+
+// Replay files are self-contained JSON:
+//
+//   {
+//     "format": "swarmpage-replay", "version": 1, "name": "...", "seed": ...,
+//     "map": { ...scenario... },          // the map when recording began
+//     "drone_types": ["standard", ...],   // one per drone, in launch order
+//     "frames": [{
+//       "step": 12,
+//       "cells": [[x, y, "F"], ...],      // cells whose CELL_CODES letter changed
+//       "drones": [x, y, vx, vy, water, battery, mode, ...] | null,
+//       "wind": [direction, speed, gusting],
+//       "bases": [{ "x": 20, "y": 19 }],  // only when they changed
+//       "stats": { "active_fires": 3, ... }
+//     }, ...]
+//   }
+//
+// Each frame's cells are relative to the previous frame (the first one to
+// "map"); drone battery is a fraction of capacity and mode an index into
+// REPLAY_MODES. Drones only ever join a run, so a frame's drones are the
+// first of drone_types, however many had launched by then.
+export const REPLAY_FORMAT = 'swarmpage-replay';
+export const REPLAY_VERSION = 1;
+export const REPLAY_MODES = ['active', 'refilling', 'returning', 'charging', 'down'];
+const DRONE_FIELDS = 7;
+
+function round(value, digits = 2) {
+  return Number(value.toFixed(digits));
+}
+
+function fail(message) {
+  throw new Error(`Invalid replay: ${message}`);
+}
+
+function flat_codes(env) {
+  return env.grid.flatMap(row => row.map(cell_code));
+}
+
+// Records a Simulation step by step. Call record(sim) after every step; a
+// step at or before the last recorded one (after rewinding, or after a map
+// edit between steps) replaces the frames from there on.
+export class ReplayRecorder {
+  constructor(sim, { name = `run-${sim.seed}` } = {}) {
+    this.name = name;
+    this.seed = sim.seed;
+    this.map = export_scenario(sim.env, { name });
+    this.drone_types = null;
+    this.frames = [];
+    this.codes = flat_codes(sim.env);
+    this.bases = null;
+    this.record(sim);
+  }
+
+  // Codes and bases as of the end of the recorded frames, rebuilt after
+  // frames were dropped.
+  rebuild() {
+    this.codes = this.map.cells.flatMap(row => [...row]);
+    this.bases = null;
+    if (!this.frames.some(frame => frame.drones)) this.drone_types = null;
+    for (const frame of this.frames) {
+      for (const [x, y, code] of frame.cells) this.codes[y * this.map.width + x] = code;
+      if (frame.bases) this.bases = JSON.stringify(frame.bases);
+    }
+  }
+
+  record(sim) {
+    const last = this.frames[this.frames.length - 1];
+    if (last && last.step >= sim.step_count) {
+      this.frames = this.frames.filter(frame => frame.step < sim.step_count);
+      this.rebuild();
+    }
+
+    const cells = [];
+    let k = 0;
+    for (let y = 0; y < sim.env.height; y++) {
+      for (let x = 0; x < sim.env.width; x++, k++) {
+        const code = cell_code(sim.env.grid[y][x]);
+        if (code !== this.codes[k]) {
+          cells.push([x, y, code]);
+          this.codes[k] = code;
+        }
+      }
+    }
+
+    const swarm = sim.swarm;
+    let drones = null;
+    if (swarm) {
+      // Rewinding and dispatching other reinforcements changes the later types.
+      if (!this.drone_types || this.drone_types.length !== swarm.num_drones) this.drone_types = [...swarm.type_names];
+      drones = [];
+      for (let i = 0; i < swarm.num_drones; i++) {
+        drones.push(
+          round(swarm.positions[i][0]),
+          round(swarm.positions[i][1]),
+          round(swarm.velocities[i][0]),
+          round(swarm.velocities[i][1]),
+          swarm.water_left[i],
+          round(swarm.battery[i] / swarm.types[i].battery_capacity),
+          REPLAY_MODES.indexOf(swarm.mode[i])
+        );
+      }
+    }
+
+    const [saved, burnt] = sim.env.count_trees();
+    const wind = sim.env.wind;
+    const frame = {
+      step: sim.step_count,
+      cells,
+      drones,
+      wind: [round(wind.direction, 1), round(wind.speed), wind.gust_remaining > 0 ? 1 : 0],
+      stats: {
+        active_fires: sim.env.active_fires.length,
+        extinguished: sim.total_extinguished,
+        trees_saved: saved,
+        trees_burnt: burnt
+      }
+    };
+    const bases = JSON.stringify(sim.bases);
+    if (bases !== this.bases) {
+      frame.bases = sim.bases.map(({ x, y }) => ({ x, y }));
+      this.bases = bases;
+    }
+    this.frames.push(frame);
+  }
+
+  to_json() {
+    return {
+      format: REPLAY_FORMAT,
+      version: REPLAY_VERSION,
+      name: this.name,
+      seed: this.seed,
+      map: this.map,
+      drone_types: this.drone_types,
+      frames: this.frames
+    };
+  }
+}
+
+export function parse_replay_json(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    fail(`not valid JSON (${err.message})`);
+  }
+  if (!data || data.format !== REPLAY_FORMAT) fail(`expected format "${REPLAY_FORMAT}"`);
+  if (data.version > REPLAY_VERSION) fail(`version ${data.version} is newer than supported`);
+  if (!Array.isArray(data.frames) || data.frames.length === 0) fail('no frames');
+  if (data.frames.some(frame => frame.drones) && !Array.isArray(data.drone_types)) fail('drones without "drone_types"');
+  return data;
+}
+
+// Plays a replay back into objects shaped like an Environment and a
+// DroneSwarm, so GridRenderer draws them like a live run. Nothing is
+// simulated: seek() just applies the recorded changes.
+export class ReplayPlayer {
+  constructor(data) {
+    this.data = data;
+    this.name = data.name;
+    this.index = -1;
+    this.seek(0);
+  }
+
+  get frame_count() {
+    return this.data.frames.length;
+  }
+
+  get frame() {
+    return this.data.frames[this.index];
+  }
+
+  reset() {
+    ({ env: this.env } = load_scenario(this.data.map));
+    this.apply_cells(this.data.map.cells.flatMap((row, y) => [...row].map((code, x) => [x, y, code])));
+    this.bases = [];
+    this.index = -1;
+  }
+
+  apply_cells(cells) {
+    for (const [x, y, code] of cells) {
+      const cell = this.env.grid[y][x];
+      apply_cell_code(cell, code);
+      cell.fire = code === 'F';
+    }
+  }
+
+  seek(index) {
+    const target = Math.max(0, Math.min(this.frame_count - 1, index));
+    if (target < this.index || this.index < 0) this.reset();
+    while (this.index < target) {
+      this.index++;
+      const frame = this.data.frames[this.index];
+      this.apply_cells(frame.cells);
+      if (frame.bases) this.bases = frame.bases;
+    }
+    const [direction, speed, gusting] = this.frame.wind;
+    Object.assign(this.env.wind, { direction, speed, gust_remaining: gusting });
+    this.swarm = this.frame.drones ? this.swarm_at(this.frame.drones) : null;
+  }
+
+  swarm_at(drones) {
+    const type_names = this.data.drone_types.slice(0, drones.length / DRONE_FIELDS);
+    const types = type_names.map(name => DRONE_TYPES[name] || DRONE_TYPES.standard);
+    const at = (i, field) => drones[i * DRONE_FIELDS + field];
+    const ids = type_names.map((_, i) => i);
+    return {
+      num_drones: type_names.length,
+      type_names,
+      types,
+      positions: ids.map(i => [at(i, 0), at(i, 1)]),
+      velocities: ids.map(i => [at(i, 2), at(i, 3)]),
+      water_left: ids.map(i => at(i, 4)),
+      battery: ids.map(i => at(i, 5) * types[i].battery_capacity),
+      mode: ids.map(i => REPLAY_MODES[at(i, 6)])
+    };
+  }
+}
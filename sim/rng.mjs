@@ -0,0 +1,38 @@
+// Any object with a random() method returning [0, 1) can drive the simulation;
+// `Math` itself is the non-reproducible default.
+export class SeededRng {
+  constructor(seed = 0) {
+    this.seed = SeededRng.normalize_seed(seed);
+    this.state = this.seed;
+  }
+
+  static normalize_seed(seed) {
+    if (typeof seed === 'string' && /^\d+$/.test(seed.trim())) seed = Number(seed.trim());
+    if (typeof seed === 'number' && Number.isFinite(seed)) return Math.floor(seed) >>> 0;
+    let hash = 2166136261;
+    for (const ch of String(seed)) {
+      hash ^= ch.codePointAt(0);
+      hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+  }
+
+  static random_seed() {
+    return Math.floor(Math.random() * 0xffffffff);
+  }
+
+  // mulberry32
+  random() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  clone() {
+    const copy = new SeededRng(this.seed);
+    copy.state = this.state;
+    return copy;
+  }
+}
@@ -0,0 +1,296 @@
+import { Environment } from './environment.mjs';
+
+// Scenario files are JSON:
+//
+//   {
+//     "format": "swarmpage-scenario", "version": 1, "name": "...",
+//     "width": 40, "height": 20,
+//     "elevation": [[...], ...],        // height rows of width numbers
+//     "cells": ["TTWW.F...", ...],      // optional, see CELL_CODES
+//     "fuel": ["ffggss...", ...],       // optional, see FUEL_CODES
+//     "fuel_load": [[...]], "moisture": [[...]],   // optional
+//     "fire_model": "simple", "wind": { "direction": 0, "speed": 1, ... },
+//     "ignitions": [{ "x": 12, "y": 8, "step": 0 }],
+//     "options": { "num_drones": 20, "reignite_chance": 0, ... }
+//   }
+//
+// Only width, height and elevation are required. Without "cells" the map is
+// all forest and the simulation adds its usual random water; without
+// "ignitions" or burning cells it adds its usual random starting fires.
+export const SCENARIO_FORMAT = 'swarmpage-scenario';
+export const SCENARIO_VERSION = 1;
+
+export const CELL_CODES = {
+  T: 'tree',
+  W: 'water',
+  X: 'firebreak',
+  '.': 'empty',
+  F: 'fire',
+  B: 'burnt',
+  E: 'extinguished'
+};
+
+export const FUEL_CODES = {
+  g: 'grass',
+  s: 'shrub',
+  f: 'forest',
+  x: 'slash'
+};
+
+const FUEL_TO_CODE = Object.fromEntries(Object.entries(FUEL_CODES).map(([code, fuel]) => [fuel, code]));
+
+function fail(message) {
+  throw new Error(`Invalid scenario: ${message}`);
+}
+
+function check_rows(rows, width, height, name, check_row) {
+  if (!Array.isArray(rows) || rows.length !== height) fail(`"${name}" must have ${height} rows`);
+  rows.forEach((row, y) => {
+    if (typeof row !== 'string' && !Array.isArray(row)) fail(`"${name}" row ${y} must be a string or an array`);
+    if (row.length !== width) fail(`"${name}" row ${y} must have ${width} entries`);
+    if (check_row) check_row(row, y);
+  });
+}
+
+function check_numbers(rows, width, height, name) {
+  check_rows(rows, width, height, name, (row, y) => {
+    if (!Array.isArray(row) || row.some(v => typeof v !== 'number' || !Number.isFinite(v))) {
+      fail(`"${name}" row ${y} must contain only numbers`);
+    }
+  });
+}
+
+export function cell_code(cell) {
+  if (cell.fire) return 'F';
+  if (cell.burnt) return cell.extinguished_by_drone ? 'E' : 'B';
+  if (cell.water) return 'W';
+  if (cell.firebreak) return 'X';
+  if (cell.tree) return 'T';
+  return '.';
+}
+
+// Sets a cell's terrain flags from its CELL_CODES letter. A burning cell only
+// gets its tree back here; callers light it (load_scenario through ignite).
+export function apply_cell_code(cell, code) {
+  const kind = CELL_CODES[code];
+  cell.tree = kind === 'tree' || kind === 'fire';
+  cell.water = kind === 'water';
+  cell.firebreak = kind === 'firebreak';
+  cell.burnt = kind === 'burnt' || kind === 'extinguished';
+  cell.extinguished_by_drone = kind === 'extinguished';
+}
+
+function round(value, digits = 3) {
+  return Number(value.toFixed(digits));
+}
+
+export function validate_scenario(data) {
+  if (!data || typeof data !== 'object') fail('expected a JSON object');
+  if (data.format !== undefined && data.format !== SCENARIO_FORMAT) fail(`unknown format "${data.format}"`);
+  if (data.version !== undefined && data.version > SCENARIO_VERSION) fail(`version ${data.version} is newer than supported`);
+
+  const { width, height } = data;
+  if (!Number.isInteger(width) || width < 2) fail('"width" must be an integer of at least 2');
+  if (!Number.isInteger(height) || height < 2) fail('"height" must be an integer of at least 2');
+  check_numbers(data.elevation, width, height, 'elevation');
+
+  if (data.cells !== undefined) {
+    check_rows(data.cells, width, height, 'cells', (row, y) => {
+      if (typeof row !== 'string') fail(`"cells" row ${y} must be a string`);
+      for (const ch of row) if (!(ch in CELL_CODES)) fail(`"cells" row ${y} has unknown code "${ch}"`);
+    });
+  }
+  if (data.fuel !== undefined) {
+    check_rows(data.fuel, width, height, 'fuel', (row, y) => {
+      if (typeof row !== 'string') fail(`"fuel" row ${y} must be a string`);
+      for (const ch of row) if (!(ch in FUEL_CODES)) fail(`"fuel" row ${y} has unknown code "${ch}"`);
+    });
+  }
+  if (data.fuel_load !== undefined) check_numbers(data.fuel_load, width, height, 'fuel_load');
+  if (data.moisture !== undefined) check_numbers(data.moisture, width, height, 'moisture');
+
+  if (data.ignitions !== undefined) {
+    if (!Array.isArray(data.ignitions)) fail('"ignitions" must be an array');
+    data.ignitions.forEach((ig, i) => {
+      if (!ig || typeof ig !== 'object') fail(`ignition ${i} must be an object`);
+      if (!Number.isInteger(ig.x) || !Number.isInteger(ig.y) || ig.x < 0 || ig.x >= width || ig.y < 0 || ig.y >= height) {
+        fail(`ignition ${i} is outside the map`);
+      }
+      if (ig.step !== undefined && (!Number.isInteger(ig.step) || ig.step < 0)) fail(`ignition ${i} has an invalid step`);
+    });
+  }
+  if (data.options !== undefined && (typeof data.options !== 'object' || Array.isArray(data.options))) {
+    fail('"options" must be an object');
+  }
+  return data;
+}
+
+// Builds an Environment from a validated scenario. Returns the environment
+// plus ignitions still to come, sorted by step.
+export function load_scenario(data, rng = Math) {
+  validate_scenario(data);
+  const { width, height } = data;
+  const env = new Environment(width, height, rng, {
+    elevation: data.elevation,
+    fire_model: data.fire_model || 'simple',
+    wind: data.wind || {}
+  });
+
+  if (data.cells) {
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) apply_cell_code(env.grid[y][x], data.cells[y][x]);
+    }
+    env.mark_water_changed();
+  }
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const cell = env.grid[y][x];
+      if (data.fuel) cell.fuel = FUEL_CODES[data.fuel[y][x]];
+      if (data.fuel_load) cell.fuel_load = data.fuel_load[y][x];
+      if (data.moisture) cell.moisture = data.moisture[y][x];
+    }
+  }
+  if (data.cells) {
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (CELL_CODES[data.cells[y][x]] === 'fire') env.ignite(x, y);
+      }
+    }
+  }
+
+  const ignitions = (data.ignitions || [])
+    .map(({ x, y, step = 0 }) => ({ x, y, step }))
+    .sort((a, b) => a.step - b.step);
+  return { env, ignitions };
+}
+
+// Serialises an environment (and optionally ignitions still to come) so the
+// current state of a run can be shared and reloaded.
+export function export_scenario(env, { name = 'exported', ignitions = [], options } = {}) {
+  const scenario = {
+    format: SCENARIO_FORMAT,
+    version: SCENARIO_VERSION,
+    name,
+    width: env.width,
+    height: env.height,
+    elevation: env.grid.map(row => row.map(cell => round(cell.elevation, 2))),
+    cells: env.grid.map(row => row.map(cell_code).join('')),
+    fuel: env.grid.map(row => row.map(cell => FUEL_TO_CODE[cell.fuel] || 'f').join('')),
+    fuel_load: env.grid.map(row => row.map(cell => round(cell.fuel_load))),
+    moisture: env.grid.map(row => row.map(cell => round(cell.moisture))),
+    fire_model: env.fire_model.name,
+    wind: {
+      direction: round(env.wind.direction, 2),
+      speed: round(env.wind.speed, 2),
+      variability: env.wind.variability,
+      gust_chance: env.wind.gust_chance,
+      gust_strength: env.wind.gust_strength
+    },
+    ignitions: ignitions.map(({ x, y, step }) => ({ x, y, step }))
+  };
+  if (options) scenario.options = options;
+  return scenario;
+}
+
+export function parse_scenario_json(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    fail(`not valid JSON (${err.message})`);
+  }
+  return validate_scenario(data);
+}
+
+// ESRI ASCII grid (.asc): a header of "key value" lines (ncols, nrows,
+// xllcorner/xllcenter, yllcorner/yllcenter, cellsize, optional NODATA_value)
+// followed by nrows rows of ncols numbers, north row first. NODATA cells
+// take the lowest valid value.
+export function parse_ascii_grid(text) {
+  const tokens = text.trim().split(/\s+/);
+  const header = {};
+  let i = 0;
+  while (i < tokens.length && /^[a-z_]+$/i.test(tokens[i])) {
+    header[tokens[i].toLowerCase()] = Number(tokens[i + 1]);
+    i += 2;
+  }
+  const ncols = header.ncols, nrows = header.nrows;
+  if (!Number.isInteger(ncols) || !Number.isInteger(nrows) || ncols < 2 || nrows < 2) {
+    throw new Error('Invalid ASCII grid: missing or bad ncols/nrows header');
+  }
+  const values = tokens.slice(i).map(Number);
+  if (values.length < ncols * nrows) {
+    throw new Error(`Invalid ASCII grid: expected ${ncols * nrows} values, found ${values.length}`);
+  }
+  if (values.some(v => Number.isNaN(v))) throw new Error('Invalid ASCII grid: non-numeric value');
+
+  const nodata = header.nodata_value;
+  const valid = values.slice(0, ncols * nrows).filter(v => v !== nodata);
+  // A loop, as spreading a real-size DEM into Math.min overflows the stack.
+  let fill = valid.length > 0 ? Infinity : 0;
+  for (const v of valid) if (v < fill) fill = v;
+  const rows = [];
+  for (let y = 0; y < nrows; y++) {
+    rows.push(values.slice(y * ncols, (y + 1) * ncols).map(v => (v === nodata ? fill : v)));
+  }
+  return { width: ncols, height: nrows, cellsize: header.cellsize ?? null, elevation: rows };
+}
+
+// Elevation rows from RGBA pixels (an ImageData or anything shaped like one),
+// using luminance mapped linearly onto [min, max].
+export function elevation_from_image_data({ width, height, data }, { min = 0, max = 100 } = {}) {
+  const rows = [];
+  for (let y = 0; y < height; y++) {
+    const row = [];
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const lum = (0.2126 * data[i] + 0.7152 * data[i + 1] + 0.0722 * data[i + 2]) / 255;
+      row.push(min + lum * (max - min));
+    }
+    rows.push(row);
+  }
+  return rows;
+}
+
+// Bilinear resample of elevation rows, used to fit large heightmaps onto a
+// grid the simulation can run at interactive speed.
+export function resample_grid(rows, width, height) {
+  const src_h = rows.length, src_w = rows[0].length;
+  if (src_w === width && src_h === height) return rows.map(row => [...row]);
+  const out = [];
+  for (let y = 0; y < height; y++) {
+    const sy = height > 1 ? (y * (src_h - 1)) / (height - 1) : 0;
+    const y0 = Math.floor(sy), y1 = Math.min(src_h - 1, y0 + 1), fy = sy - y0;
+    const row = [];
+    for (let x = 0; x < width; x++) {
+      const sx = width > 1 ? (x * (src_w - 1)) / (width - 1) : 0;
+      const x0 = Math.floor(sx), x1 = Math.min(src_w - 1, x0 + 1), fx = sx - x0;
+      const top = rows[y0][x0] * (1 - fx) + rows[y0][x1] * fx;
+      const bottom = rows[y1][x0] * (1 - fx) + rows[y1][x1] * fx;
+      row.push(top * (1 - fy) + bottom * fy);
+    }
+    out.push(row);
+  }
+  return out;
+}
+
+// Wraps bare elevation rows (from a heightmap or ASCII grid) as a scenario,
+// shrinking it so the longer side is at most max_size cells. A known source
+// cell_size (metres, e.g. an ASCII grid's cellsize) is carried into the
+// scenario's units, enlarged to match any shrinking.
+export function scenario_from_elevation(rows, { name = 'heightmap', max_size = 200, cell_size = null } = {}) {
+  const src_h = rows.length, src_w = rows[0].length;
+  const scale = Math.min(1, max_size / Math.max(src_w, src_h));
+  const width = Math.max(2, Math.round(src_w * scale));
+  const height = Math.max(2, Math.round(src_h * scale));
+  const scenario = {
+    format: SCENARIO_FORMAT,
+    version: SCENARIO_VERSION,
+    name,
+    width,
+    height,
+    elevation: resample_grid(rows, width, height)
+  };
+  if (cell_size > 0) scenario.options = { units: { cell_size: (cell_size * src_w) / width } };
+  return scenario;
+}
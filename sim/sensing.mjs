@@ -0,0 +1,151 @@
+import { DistanceField } from './distance_field.mjs';
+
+// Partial observability. With sensing on, a drone knows only what it or a
+// drone it can talk to has seen: each observes the cells within
+// sensor_radius every step, drones within comm_range of each other (directly
+// or by relay) pool what they know into one BeliefMap and share their best
+// position, and a fire not seen for forget_after steps is no longer believed.
+// The terrain itself (trees, water, firebreaks) is taken as known from the map.
+export const DEFAULT_SENSING = {
+  sensor_radius: 3,
+  // null: every drone hears every other one.
+  comm_range: 10,
+  forget_after: 30
+};
+
+// What a belief map records for a cell, as last observed.
+export const BELIEF_STATES = { unknown: 0, clear: 1, fire: 2, burnt: 3, extinguished: 4 };
+
+// null keeps perfect knowledge; an object overrides DEFAULT_SENSING.
+export function resolve_sensing(sensing) {
+  if (!sensing) return null;
+  const resolved = { ...DEFAULT_SENSING, ...sensing };
+  if (!(resolved.sensor_radius > 0)) throw new Error(`sensor_radius must be positive, not ${resolved.sensor_radius}`);
+  if (resolved.comm_range !== null && !(resolved.comm_range >= 0)) throw new Error(`comm_range must be non-negative or null, not ${resolved.comm_range}`);
+  if (!(resolved.forget_after > 0)) throw new Error(`forget_after must be positive, not ${resolved.forget_after}`);
+  return resolved;
+}
+
+function observed_state(cell) {
+  if (cell.fire) return BELIEF_STATES.fire;
+  if (cell.burnt) return cell.extinguished_by_drone ? BELIEF_STATES.extinguished : BELIEF_STATES.burnt;
+  return BELIEF_STATES.clear;
+}
+
+// A map as seen by a group of drones: every cell's BELIEF_STATES value and
+// the step it was last observed (-1 for never).
+export class BeliefMap {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.state = new Uint8Array(width * height);
+    this.seen_at = new Int32Array(width * height).fill(-1);
+    // The latest step anything was observed or forgotten at.
+    this.now = 0;
+    this.fire_list = [];
+    this.fire_field = new DistanceField(width, height);
+    this.fires_dirty = false;
+    this.field_dirty = false;
+  }
+
+  clone() {
+    const copy = new BeliefMap(this.width, this.height);
+    copy.state.set(this.state);
+    copy.seen_at.set(this.seen_at);
+    copy.now = this.now;
+    copy.fires_dirty = true;
+    copy.field_dirty = true;
+    return copy;
+  }
+
+  // One map holding the newest observation of every cell across maps.
+  static merge(maps) {
+    const merged = maps[0].clone();
+    for (const map of maps.slice(1)) {
+      if (map === maps[0]) continue;
+      for (let k = 0; k < merged.seen_at.length; k++) {
+        if (map.seen_at[k] > merged.seen_at[k]) {
+          merged.seen_at[k] = map.seen_at[k];
+          merged.state[k] = map.state[k];
+        }
+      }
+      merged.now = Math.max(merged.now, map.now);
+    }
+    return merged;
+  }
+
+  set(k, state) {
+    if (state === this.state[k]) return;
+    if (state === BELIEF_STATES.fire || this.state[k] === BELIEF_STATES.fire) {
+      this.fires_dirty = true;
+      this.field_dirty = true;
+    }
+    this.state[k] = state;
+  }
+
+  // Records the true state of every cell within radius of pos.
+  observe(env, [px, py], radius, step) {
+    this.now = Math.max(this.now, step);
+    const x0 = Math.max(0, Math.floor(px - radius)), x1 = Math.min(this.width - 1, Math.floor(px + radius));
+    const y0 = Math.max(0, Math.floor(py - radius)), y1 = Math.min(this.height - 1, Math.floor(py + radius));
+    for (let y = y0; y <= y1; y++) {
+      for (let x = x0; x <= x1; x++) {
+        if (Math.hypot(x + 0.5 - px, y + 0.5 - py) > radius) continue;
+        const k = y * this.width + x;
+        this.set(k, observed_state(env.grid[y][x]));
+        this.seen_at[k] = step;
+      }
+    }
+  }
+
+  // Drops fires last seen more than forget_after steps before `step`; what
+  // they have become since is unknown.
+  forget(step, forget_after) {
+    this.now = Math.max(this.now, step);
+    for (const [x, y] of this.fires()) {
+      const k = y * this.width + x;
+      if (step - this.seen_at[k] > forget_after) this.set(k, BELIEF_STATES.unknown);
+    }
+  }
+
+  state_at(x, y) {
+    return this.state[y * this.width + x];
+  }
+
+  is_fire(x, y) {
+    return this.state[y * this.width + x] === BELIEF_STATES.fire;
+  }
+
+  // Steps since the cell was last observed, Infinity if it never was.
+  age(x, y) {
+    const seen = this.seen_at[y * this.width + x];
+    return seen < 0 ? Infinity : this.now - seen;
+  }
+
+  // Believed burning cells as [x, y], like Environment.active_fires.
+  fires() {
+    if (this.fires_dirty) {
+      this.fire_list = [];
+      for (let k = 0; k < this.state.length; k++) {
+        if (this.state[k] === BELIEF_STATES.fire) this.fire_list.push([k % this.width, Math.floor(k / this.width)]);
+      }
+      this.fires_dirty = false;
+    }
+    return this.fire_list;
+  }
+
+  nearest_fire_distance(x, y) {
+    if (this.field_dirty) {
+      this.fire_field.rebuild(this.fires());
+      this.field_dirty = false;
+    }
+    return this.fire_field.get(x, y);
+  }
+
+  // Fraction of the map observed at least once.
+  coverage() {
+    let seen = 0;
+    for (const step of this.seen_at) if (step >= 0) seen++;
+    return seen / this.seen_at.length;
+  }
+}
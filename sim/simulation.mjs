@@ -0,0 +1,468 @@
+import { create_controller } from './adaptive.mjs';
+import { expand_fleet, normalize_bases } from './drones.mjs';
+import { Environment } from './environment.mjs';
+import { RunHistory } from './history.mjs';
+import { FIRE_PRESETS } from './fire_model.mjs';
+import { DEFAULT_FORECAST, forecast_spread } from './forecast.mjs';
+import { export_scenario, load_scenario } from './scenario.mjs';
+import { find_water, generate_terrain } from './terrain.mjs';
+import { SeededRng } from './rng.mjs';
+import { BeliefMap, resolve_sensing } from './sensing.mjs';
+import { DroneSwarm, LAUNCH_SITES } from './swarm.mjs';
+import { cells_to_hectares, resolve_units, steps_to_minutes } from './units.mjs';
+
+export const DEFAULT_OPTIONS = {
+  seed: null,
+  scenario: null,
+  terrain: null,
+  width: 40,
+  height: 20,
+  water_blobs: 3,
+  initial_fires: 5,
+  // 'centre' starts the random fires in the middle third of the map,
+  // 'anywhere' over the whole of it.
+  ignition_area: 'centre',
+  // Exactly water_blobs lakes instead of 2..water_blobs.
+  exact_water_blobs: false,
+  // Whether a burning cell's fitness favours fires near water.
+  fitness_water_distance: true,
+  num_drones: 20,
+  fleet: null,
+  bases: null,
+  launch: 'random',
+  refill_policy: 'least_congested',
+  // The fleet takes off at deploy_step in `waves` waves wave_interval steps
+  // apart; reinforcements ([{ step, count | fleet, launch }]) join later.
+  deploy_step: 10,
+  waves: 1,
+  wave_interval: 5,
+  reinforcements: [],
+  reignite_every: 15,
+  reignite_chance: 0.3,
+  min_steps: 20,
+  omega: 0.7,
+  phi_p: 1.5,
+  phi_g: 1.5,
+  strategy: 'gbest',
+  adaptive: null,
+  adaptive_options: {},
+  // 'fire' or 'risk' (see TARGETING_LABELS); forecast_options override
+  // DEFAULT_FORECAST for the forecast risk targeting flies by.
+  targeting: 'fire',
+  forecast_options: {},
+  // Overrides of DEFAULT_UNITS: the run's real-world scale.
+  units: {},
+  // null: drones see the whole map; an object (DEFAULT_SENSING overrides)
+  // limits them to what they observe and can pass on.
+  sensing: null,
+  ...FIRE_PRESETS.simple
+};
+
+// How the original standalone page (main.html) behaved before it moved onto
+// this module: fires may start anywhere, it always makes water_blobs lakes,
+// every fire scores the same however far it is from water, and drones only
+// refill when the swarm happens to carry them over water.
+export const STANDALONE_OPTIONS = {
+  ignition_area: 'anywhere',
+  exact_water_blobs: true,
+  fitness_water_distance: false,
+  refill_policy: 'passive'
+};
+
+// Drones still to take off, as { step, types, launch } in launch order: the
+// fleet split round-robin into its waves, then the reinforcements.
+function deployment_schedule(options) {
+  const { num_drones, fleet, launch, deploy_step, waves, wave_interval, reinforcements } = options;
+  if (!Number.isInteger(waves) || waves < 1) throw new Error(`waves must be a whole number of at least 1, not ${waves}`);
+  const types = expand_fleet(fleet, num_drones);
+  const schedule = Array.from({ length: waves }, (_, w) => ({
+    step: deploy_step + w * wave_interval,
+    types: types.filter((_, k) => k % waves === w),
+    launch
+  }));
+  for (const extra of reinforcements || []) {
+    schedule.push({ step: extra.step, types: expand_fleet(extra.fleet, extra.count ?? 0), launch: extra.launch || launch });
+  }
+  for (const { launch } of schedule) {
+    if (!LAUNCH_SITES[launch]) throw new Error(`Unknown launch site: ${launch}`);
+  }
+  return schedule.filter(deployment => deployment.types.length > 0).sort((a, b) => a.step - b.step);
+}
+
+function copy_state(source) {
+  const rng = source.rng.clone();
+  const env = source.env.clone(rng);
+  const drone_rng = source.drone_rng ? source.drone_rng.clone() : null;
+  const swarm = source.swarm ? source.swarm.clone(env, source.swarm.rng === source.rng ? rng : drone_rng) : null;
+  return {
+    rng,
+    env,
+    drone_rng,
+    swarm,
+    bases: source.bases.map(base => ({ ...base })),
+    pending_ignitions: source.pending_ignitions.map(ig => ({ ...ig })),
+    // Type lists are never changed once scheduled.
+    deployments: source.deployments.map(deployment => ({ ...deployment })),
+    step_count: source.step_count,
+    total_extinguished: source.total_extinguished,
+    contained_at: source.contained_at,
+    first_drop: source.first_drop,
+    omega: source.omega,
+    phi_p: source.phi_p,
+    phi_g: source.phi_g,
+    strategy: source.strategy,
+    targeting: source.targeting,
+    // Forecast maps are never written to once made, so they can be shared.
+    forecast: source.forecast,
+    adaptive: source.adaptive,
+    controller: source.controller ? source.controller.clone() : null,
+    diversity: source.diversity,
+    reward: source.reward
+  };
+}
+
+// One complete run: environment setup, drone deployment and the per-tick loop
+// the UI drives from its timer. Runs headless so it can be swept from Node.
+export class Simulation {
+  // A scenario's own "options" sit between the defaults and explicit options.
+  constructor(options = {}) {
+    const scenario = options.scenario || null;
+    this.options = { ...DEFAULT_OPTIONS, ...(scenario?.options || {}), ...options };
+    this.seed = this.options.seed ?? SeededRng.random_seed();
+    this.units = resolve_units(this.options.units);
+    this.sensing = resolve_sensing(this.options.sensing);
+    this.rng = new SeededRng(this.seed);
+
+    // terrain: null keeps the original uniform-random elevation and
+    // random-walk water; an object (DEFAULT_TERRAIN overrides) generates
+    // coherent terrain with lakes and rivers, or places water by the same
+    // hydrology on a scenario's own elevation.
+    const { width, height, water_blobs, exact_water_blobs, initial_fires, ignition_area, fire_model, wind, fuel_patches, fuel_moisture, terrain } = this.options;
+    let env;
+    this.pending_ignitions = [];
+    if (scenario) {
+      ({ env, ignitions: this.pending_ignitions } = load_scenario(scenario, this.rng));
+      if (!scenario.cells && terrain) {
+        const heights = Float64Array.from(scenario.elevation.flat());
+        const water = find_water(heights, env.width, env.height, terrain);
+        env.add_water_mask(scenario.elevation.map((row, y) => row.map((_, x) => water[y * env.width + x] === 1)));
+      } else if (!scenario.cells) {
+        env.add_water_blobs(water_blobs, { exact: exact_water_blobs });
+      }
+      if (!scenario.fuel && env.fire_model.name !== 'simple') env.add_fuel_patches(fuel_patches, fuel_moisture);
+    } else if (terrain) {
+      const generated = generate_terrain(width, height, this.rng, terrain);
+      env = new Environment(width, height, this.rng, { fire_model, wind, elevation: generated.elevation });
+      env.add_water_mask(generated.water);
+      if (fire_model !== 'simple') env.add_fuel_patches(fuel_patches, fuel_moisture);
+    } else {
+      env = new Environment(width, height, this.rng, { fire_model, wind });
+      env.add_water_blobs(water_blobs, { exact: exact_water_blobs });
+      if (fire_model !== 'simple') env.add_fuel_patches(fuel_patches, fuel_moisture);
+    }
+    if (!scenario || (this.pending_ignitions.length === 0 && env.active_fires.length === 0)) {
+      for (let i = 0; i < initial_fires; i++) {
+        if (ignition_area === 'anywhere') {
+          env.ignite(Math.floor(this.rng.random() * env.width), Math.floor(this.rng.random() * env.height));
+          continue;
+        }
+        const x = Math.floor(this.rng.random() * (env.width / 3)) + Math.floor(env.width / 3);
+        const y = Math.floor(this.rng.random() * (env.height / 3)) + Math.floor(env.height / 3);
+        env.ignite(x, y);
+      }
+    }
+
+    this.env = env;
+    this.bases = normalize_bases(this.options.bases, env);
+    // Drones draw from the environment's stream unless given their own (see fork).
+    this.drone_rng = null;
+    this.swarm = null;
+    this.deployments = deployment_schedule(this.options);
+    this.step_count = 0;
+    this.total_extinguished = 0;
+    this.contained_at = null;
+    // Step of the first water drop, the run's response time.
+    this.first_drop = null;
+    this.omega = this.options.omega;
+    this.phi_p = this.options.phi_p;
+    this.phi_g = this.options.phi_g;
+    this.strategy = this.options.strategy;
+    this.targeting = this.options.targeting;
+    this.forecast = null;
+    this.set_adaptive(this.options.adaptive, this.options.adaptive_options);
+    this.diversity = null;
+    this.reward = null;
+    this.apply_scheduled_ignitions();
+    this.history = new RunHistory();
+    this.history.record(this);
+  }
+
+  apply_scheduled_ignitions() {
+    while (this.pending_ignitions.length > 0 && this.pending_ignitions[0].step <= this.step_count) {
+      const { x, y } = this.pending_ignitions.shift();
+      this.env.ignite(x, y);
+    }
+  }
+
+  set_parameters({ omega = this.omega, phi_p = this.phi_p, phi_g = this.phi_g, strategy = this.strategy, targeting = this.targeting } = {}) {
+    this.omega = omega;
+    this.phi_p = phi_p;
+    this.phi_g = phi_g;
+    if (strategy !== this.strategy) {
+      this.strategy = strategy;
+      if (this.swarm) this.swarm.set_strategy(strategy);
+    }
+    this.targeting = targeting;
+  }
+
+  // What the drones know of the map (see BeliefMap), or null when they see
+  // all of it. Before they launch nothing has been observed.
+  belief_map() {
+    if (!this.sensing) return null;
+    return this.swarm ? this.swarm.shared_belief() : new BeliefMap(this.env.width, this.env.height);
+  }
+
+  // Ignition probabilities over the next few steps (see forecast_spread).
+  // While drones fly by risk this is the forecast they use, redone every
+  // `every` steps; otherwise one is made for the current step. Rollouts are
+  // seeded from the run and step, so forecasting never changes the run.
+  forecast_map() {
+    const { every, ...options } = { ...DEFAULT_FORECAST, ...this.options.forecast_options };
+    if (this.forecast && this.step_count - this.forecast.step < every) return this.forecast.map;
+    const map = forecast_spread(this.env, { ...options, seed: `${this.seed}:forecast:${this.step_count}` });
+    if (this.targeting === 'risk' && this.swarm) this.forecast = { step: this.step_count, map };
+    return map;
+  }
+
+  // name: null for fixed parameters, or one of CONTROLLERS. The run's
+  // current omega/phi are the starting point the controller adapts from.
+  set_adaptive(name, options = {}) {
+    this.adaptive = name || null;
+    this.controller = this.adaptive ? create_controller(this.adaptive, options) : null;
+  }
+
+  set_wind({ direction, speed } = {}) {
+    this.env.wind.set_base({ direction, speed });
+  }
+
+  // Adds a home base at a cell, or removes the one already there as long as
+  // another remains. Returns whether the bases changed.
+  toggle_base(x, y) {
+    if (x < 0 || x >= this.env.width || y < 0 || y >= this.env.height) return false;
+    const at = this.bases.findIndex(base => base.x === x && base.y === y);
+    if (at >= 0) {
+      if (this.bases.length === 1) return false;
+      this.bases.splice(at, 1);
+    } else {
+      this.bases.push({ x, y });
+    }
+    if (this.swarm) this.swarm.set_bases(this.bases);
+    return true;
+  }
+
+  // Sends more drones in `delay` steps (0: on the next step): count standard
+  // drones or a fleet ([{ type, count }]), from `launch` or the run's launch site.
+  dispatch({ fleet = null, count = 0, launch = this.options.launch, delay = 0 } = {}) {
+    const [deployment] = deployment_schedule({
+      ...this.options,
+      waves: 1,
+      reinforcements: [],
+      num_drones: count,
+      fleet,
+      launch,
+      deploy_step: this.step_count + delay
+    });
+    if (!deployment) return;
+    const at = this.deployments.findIndex(pending => pending.step > deployment.step);
+    this.deployments.splice(at < 0 ? this.deployments.length : at, 0, deployment);
+  }
+
+  // Drones scheduled that have not taken off yet.
+  drones_pending() {
+    return this.deployments.reduce((sum, deployment) => sum + deployment.types.length, 0);
+  }
+
+  // Launches every deployment due by now; the first creates the swarm.
+  launch_due() {
+    const { refill_policy, fitness_water_distance } = this.options;
+    while (this.deployments.length > 0 && this.deployments[0].step <= this.step_count) {
+      const { types, launch } = this.deployments.shift();
+      if (!this.swarm) {
+        this.swarm = new DroneSwarm(this.env, 0, this.drone_rng || this.env.rng, this.strategy, {
+          bases: this.bases,
+          refill_policy,
+          fitness_water_distance,
+          targeting: this.targeting,
+          units: this.units,
+          sensing: this.sensing
+        });
+      }
+      this.swarm.add_drones(types, launch);
+    }
+  }
+
+  step() {
+    const env = this.env;
+    const { reignite_every, reignite_chance } = this.options;
+
+    env.spread_fire();
+    this.launch_due();
+
+    let extinguished = 0;
+    if (this.swarm) {
+      this.swarm.omega = this.omega;
+      this.swarm.phi_p = this.phi_p;
+      this.swarm.phi_g = this.phi_g;
+      this.swarm.targeting = this.targeting;
+      if (this.targeting === 'risk') {
+        const risk = this.forecast_map();
+        // A new forecast moves the targets, so bests scored on the old one go stale.
+        if (risk !== this.swarm.risk) {
+          this.swarm.risk = risk;
+          this.swarm.refresh_bests();
+        }
+      } else {
+        this.swarm.risk = null;
+        this.forecast = null;
+      }
+      [extinguished, , , , this.diversity, this.reward] = this.swarm.step(this.step_count);
+      this.total_extinguished += extinguished;
+      if (extinguished > 0 && this.first_drop === null) this.first_drop = this.step_count;
+      if (this.controller) this.controller.update(this, { diversity: this.diversity, reward: this.reward });
+    }
+
+    if (this.step_count % reignite_every === 0 && this.rng.random() < reignite_chance) {
+      const x = Math.floor(this.rng.random() * env.width);
+      const y = Math.floor(this.rng.random() * env.height);
+      env.ignite(x, y);
+    }
+
+    this.step_count++;
+    this.apply_scheduled_ignitions();
+    if (this.contained_at === null && this.is_finished()) this.contained_at = this.step_count;
+    this.history.record(this);
+    return extinguished;
+  }
+
+  is_finished() {
+    return this.env.active_fires.length === 0 && this.pending_ignitions.length === 0 && this.step_count > this.options.min_steps;
+  }
+
+  // The current state as a scenario file; ignitions still to come are
+  // rebased so they fire at the same moment relative to the reload.
+  export_scenario(name = `step-${this.step_count}`) {
+    const ignitions = this.pending_ignitions.map(ig => ({ ...ig, step: ig.step - this.step_count }));
+    const { omega, phi_p, phi_g } = this;
+    const { num_drones, fleet, launch, refill_policy, deploy_step, waves, wave_interval, reinforcements, reignite_every, reignite_chance, min_steps } = this.options;
+    return export_scenario(this.env, {
+      name,
+      ignitions,
+      options: {
+        num_drones,
+        fleet,
+        bases: this.bases,
+        launch,
+        refill_policy,
+        deploy_step,
+        waves,
+        wave_interval,
+        reinforcements,
+        reignite_every,
+        reignite_chance,
+        min_steps,
+        omega,
+        phi_p,
+        phi_g,
+        units: this.units,
+        sensing: this.sensing
+      }
+    });
+  }
+
+  // A copy of this run, taken before the drones deploy, with some options
+  // changed (typically omega/phi or the strategy). The environment and its
+  // random stream are cloned, and every fork's drones draw from their own
+  // identically seeded stream, so forks face the same fire and differ only
+  // in what their drones do.
+  fork(overrides = {}) {
+    if (this.swarm) throw new Error('fork() must be called before the drones deploy');
+    const copy = Object.create(Simulation.prototype);
+    Object.assign(copy, this);
+    copy.options = { ...this.options, ...overrides, seed: this.seed };
+    copy.units = resolve_units(copy.options.units);
+    copy.sensing = resolve_sensing(copy.options.sensing);
+    copy.rng = this.rng.clone();
+    copy.env = this.env.clone(copy.rng);
+    copy.bases = overrides.bases ? normalize_bases(overrides.bases, copy.env) : this.bases.map(base => ({ ...base }));
+    copy.drone_rng = new SeededRng(`${this.seed}:drones`);
+    copy.pending_ignitions = this.pending_ignitions.map(ig => ({ ...ig }));
+    copy.deployments = deployment_schedule(copy.options);
+    copy.omega = copy.options.omega;
+    copy.phi_p = copy.options.phi_p;
+    copy.phi_g = copy.options.phi_g;
+    copy.strategy = copy.options.strategy;
+    copy.targeting = copy.options.targeting;
+    copy.set_adaptive(copy.options.adaptive, copy.options.adaptive_options);
+    copy.history = new RunHistory();
+    copy.history.record(copy);
+    return copy;
+  }
+
+  // The whole run state at this step, for rewinding with restore(). Every
+  // random stream is cloned along with what draws from it, so restoring and
+  // stepping on replays the original run exactly.
+  snapshot() {
+    // History rows are never changed once recorded, so sharing them is safe.
+    return { ...copy_state(this), history_rows: [...this.history.rows] };
+  }
+
+  // Rewinds (or fast-forwards) to a snapshot of this run. The snapshot is
+  // copied, so it can be restored again later.
+  restore(snapshot) {
+    Object.assign(this, copy_state(snapshot));
+    this.history.rows = [...snapshot.history_rows];
+  }
+
+  // The simulation clock: every step is units.step_seconds long.
+  elapsed_seconds() {
+    return this.step_count * this.units.step_seconds;
+  }
+
+  run(max_steps = 1000) {
+    while (!this.is_finished() && this.step_count < max_steps) this.step();
+    return this.summary();
+  }
+
+  // Areas are in hectares and times in minutes (see DEFAULT_UNITS).
+  summary() {
+    const [saved, burnt] = this.env.count_trees();
+    const units = this.units;
+    return {
+      seed: this.seed,
+      omega: this.omega,
+      phi_p: this.phi_p,
+      phi_g: this.phi_g,
+      strategy: this.strategy,
+      targeting: this.targeting,
+      adaptive: this.adaptive,
+      fire_model: this.env.fire_model.name,
+      steps: this.step_count,
+      active_fires: this.env.active_fires.length,
+      peak_fires: this.history.peak('active_fires'),
+      trees_saved: saved,
+      trees_burnt: burnt,
+      hectares_saved: cells_to_hectares(saved, units),
+      hectares_burnt: cells_to_hectares(burnt, units),
+      total_extinguished: this.total_extinguished,
+      return_trips: this.swarm ? this.swarm.return_trips : 0,
+      refill_trips: this.swarm ? this.swarm.planner.refill_trips : 0,
+      idle_steps: this.swarm ? this.swarm.planner.idle_steps : 0,
+      drones_deployed: this.swarm ? this.swarm.num_drones : 0,
+      steps_to_first_drop: this.first_drop,
+      steps_to_containment: this.contained_at,
+      elapsed_minutes: steps_to_minutes(this.step_count, units),
+      minutes_to_first_drop: this.first_drop === null ? null : steps_to_minutes(this.first_drop, units),
+      minutes_to_containment: this.contained_at === null ? null : steps_to_minutes(this.contained_at, units)
+    };
+  }
+}
@@ -0,0 +1,262 @@
+// Coordination strategies decide each drone's velocity for the coming step.
+// DroneSwarm then applies the velocities, clamps positions to the map,
+// updates personal/global bests and extinguishes fires, so every strategy is
+// scored by exactly the same rules and metrics.
+//
+// A strategy is any object with a `name` and `update_velocities(swarm, iteration)`.
+
+function pso_update(swarm, i, guide, r_p, r_g) {
+  const pos = swarm.positions[i], vel = swarm.velocities[i], pbest = swarm.pbest_positions[i];
+  vel[0] = swarm.omega * vel[0] + swarm.phi_p * r_p * (pbest[0] - pos[0]) + swarm.phi_g * r_g * (guide[0] - pos[0]);
+  vel[1] = swarm.omega * vel[1] + swarm.phi_p * r_p * (pbest[1] - pos[1]) + swarm.phi_g * r_g * (guide[1] - pos[1]);
+}
+
+function seek(swarm, i, target, max_speed) {
+  const pos = swarm.positions[i], vel = swarm.velocities[i];
+  if (!target) {
+    vel[0] *= 0.5;
+    vel[1] *= 0.5;
+    return;
+  }
+  // Aim for the centre of the target cell, since drones act on floor(position).
+  const dx = target[0] + 0.5 - pos[0], dy = target[1] + 0.5 - pos[1];
+  const dist = Math.hypot(dx, dy);
+  const scale = dist > max_speed ? max_speed / dist : 1;
+  vel[0] = dx * scale;
+  vel[1] = dy * scale;
+}
+
+function nearest_cell(pos, cells) {
+  let best = null, best_dist = Infinity;
+  for (const cell of cells) {
+    const d = (cell[0] + 0.5 - pos[0]) ** 2 + (cell[1] + 0.5 - pos[1]) ** 2;
+    if (d < best_dist) {
+      best_dist = d;
+      best = cell;
+    }
+  }
+  return [best, Math.sqrt(best_dist)];
+}
+
+// Canonical global-best PSO: every drone is pulled toward one gbest_position.
+export class GlobalBestStrategy {
+  constructor() {
+    this.name = 'gbest';
+  }
+
+  update_velocities(swarm) {
+    for (let i = 0; i < swarm.num_drones; i++) {
+      const r_p = swarm.rng.random();
+      const r_g = swarm.rng.random();
+      pso_update(swarm, i, swarm.guide(i), r_p, r_g);
+    }
+  }
+}
+
+// Local-best PSO on a ring: each drone follows the best personal best among
+// itself and `radius` neighbours either side (by index) it can talk to, so
+// information spreads slowly and the swarm can hold several fire fronts at once.
+export class RingStrategy {
+  constructor({ radius = 1 } = {}) {
+    this.name = 'ring';
+    this.radius = radius;
+  }
+
+  update_velocities(swarm) {
+    const n = swarm.num_drones;
+    const guides = [];
+    for (let i = 0; i < n; i++) {
+      let best = i;
+      for (let k = -this.radius; k <= this.radius; k++) {
+        const j = (((i + k) % n) + n) % n;
+        if (swarm.pbest_values[j] < swarm.pbest_values[best] && swarm.connected(i, j)) best = j;
+      }
+      guides.push(swarm.pbest_positions[best]);
+    }
+    for (let i = 0; i < n; i++) {
+      const r_p = swarm.rng.random();
+      const r_g = swarm.rng.random();
+      pso_update(swarm, i, guides[i], r_p, r_g);
+    }
+  }
+}
+
+// Every drone flies straight to the nearest burning cell. A deliberately
+// naive baseline.
+export class GreedyStrategy {
+  constructor({ max_speed = 2 } = {}) {
+    this.name = 'greedy';
+    this.max_speed = max_speed;
+  }
+
+  update_velocities(swarm) {
+    for (let i = 0; i < swarm.num_drones; i++) {
+      const [target] = nearest_cell(swarm.positions[i], swarm.known_fires(i));
+      seek(swarm, i, target, this.max_speed);
+    }
+  }
+}
+
+// Groups burning cells (by default the map's) within link_distance of each
+// other into clusters.
+export function cluster_fires(env, link_distance = 2, fires = env.active_fires) {
+  const index = new Map();
+  fires.forEach(([x, y], i) => index.set(y * env.width + x, i));
+  const cluster_of = new Int32Array(fires.length).fill(-1);
+  const clusters = [];
+  for (let start = 0; start < fires.length; start++) {
+    if (cluster_of[start] >= 0) continue;
+    const members = [start];
+    cluster_of[start] = clusters.length;
+    for (let k = 0; k < members.length; k++) {
+      const [x, y] = fires[members[k]];
+      for (let dy = -link_distance; dy <= link_distance; dy++) {
+        for (let dx = -link_distance; dx <= link_distance; dx++) {
+          const nx = x + dx, ny = y + dy;
+          if (nx < 0 || nx >= env.width || ny < 0 || ny >= env.height) continue;
+          const j = index.get(ny * env.width + nx);
+          if (j !== undefined && cluster_of[j] < 0) {
+            cluster_of[j] = clusters.length;
+            members.push(j);
+          }
+        }
+      }
+    }
+    clusters.push(members.map(m => fires[m]));
+  }
+  return clusters;
+}
+
+// Minimum-cost assignment of n rows to m >= n columns (Hungarian algorithm,
+// O(n^2 m)). Returns the column chosen for each row.
+export function hungarian(cost) {
+  const n = cost.length;
+  if (n === 0) return [];
+  const m = cost[0].length;
+  const u = new Float64Array(n + 1), v = new Float64Array(m + 1);
+  const p = new Int32Array(m + 1), way = new Int32Array(m + 1);
+  for (let i = 1; i <= n; i++) {
+    p[0] = i;
+    let j0 = 0;
+    const minv = new Float64Array(m + 1).fill(Infinity);
+    const used = new Uint8Array(m + 1);
+    do {
+      used[j0] = 1;
+      const i0 = p[j0];
+      let delta = Infinity, j1 = 0;
+      for (let j = 1; j <= m; j++) {
+        if (used[j]) continue;
+        const cur = cost[i0 - 1][j - 1] - u[i0] - v[j];
+        if (cur < minv[j]) {
+          minv[j] = cur;
+          way[j] = j0;
+        }
+        if (minv[j] < delta) {
+          delta = minv[j];
+          j1 = j;
+        }
+      }
+      for (let j = 0; j <= m; j++) {
+        if (used[j]) {
+          u[p[j]] += delta;
+          v[j] -= delta;
+        } else {
+          minv[j] -= delta;
+        }
+      }
+      j0 = j1;
+    } while (p[j0] !== 0);
+    do {
+      const j1 = way[j0];
+      p[j0] = p[j1];
+      j0 = j1;
+    } while (j0);
+  }
+  const assignment = new Array(n).fill(-1);
+  for (let j = 1; j <= m; j++) if (p[j] > 0) assignment[p[j] - 1] = j - 1;
+  return assignment;
+}
+
+// Fire-front task allocation: burning cells are clustered, each cluster gets
+// drone slots in proportion to its size (at least one while drones last),
+// and drones are matched to slots by the Hungarian algorithm on flight
+// distance. Within its cluster a drone heads for the nearest burning cell.
+// Allocation is central, so under sensing it plans from what the whole
+// swarm has seen.
+export class ClusterAssignmentStrategy {
+  constructor({ max_speed = 2, link_distance = 2, reassign_every = 5 } = {}) {
+    this.name = 'cluster';
+    this.max_speed = max_speed;
+    this.link_distance = link_distance;
+    this.reassign_every = reassign_every;
+    this.assignment = null;
+    this.clusters = [];
+    this.last_assigned = -Infinity;
+  }
+
+  slots_for(clusters, drones) {
+    const order = clusters.map((c, i) => i).sort((a, b) => clusters[b].length - clusters[a].length);
+    if (clusters.length >= drones) return order.slice(0, drones);
+    const slots = [...order];
+    const total = clusters.reduce((sum, c) => sum + c.length, 0);
+    const extra = drones - clusters.length;
+    const shares = order.map(i => ({ i, share: (clusters[i].length / total) * extra }));
+    for (const { i, share } of shares) for (let k = 0; k < Math.floor(share); k++) slots.push(i);
+    shares.sort((a, b) => (b.share % 1) - (a.share % 1));
+    for (let k = 0; slots.length < drones; k++) slots.push(shares[k % shares.length].i);
+    return slots;
+  }
+
+  assign(swarm, iteration) {
+    this.clusters = cluster_fires(swarm.env, this.link_distance, swarm.known_fires());
+    this.last_assigned = iteration;
+    if (this.clusters.length === 0) {
+      this.assignment = new Array(swarm.num_drones).fill(-1);
+      return;
+    }
+    const slots = this.slots_for(this.clusters, swarm.num_drones);
+    const distances = swarm.positions.map(pos => this.clusters.map(cells => nearest_cell(pos, cells)[1]));
+    const cost = distances.map(row => slots.map(c => row[c]));
+    this.assignment = hungarian(cost).map(slot => (slot >= 0 ? slots[slot] : -1));
+  }
+
+  update_velocities(swarm, iteration) {
+    const burning = cells => cells.filter(([x, y]) => swarm.believes_fire(x, y));
+    let live = this.clusters.map(burning);
+    const stale = this.assignment === null ||
+      this.assignment.length !== swarm.num_drones ||
+      iteration - this.last_assigned >= this.reassign_every ||
+      live.some(cells => cells.length === 0);
+    if (stale) {
+      this.assign(swarm, iteration);
+      live = this.clusters;
+    }
+
+    for (let i = 0; i < swarm.num_drones; i++) {
+      const c = this.assignment[i];
+      const cells = c >= 0 && live[c].length > 0 ? live[c] : swarm.known_fires();
+      const [target] = nearest_cell(swarm.positions[i], cells);
+      seek(swarm, i, target, this.max_speed);
+    }
+  }
+}
+
+export const STRATEGIES = {
+  gbest: GlobalBestStrategy,
+  ring: RingStrategy,
+  cluster: ClusterAssignmentStrategy,
+  greedy: GreedyStrategy
+};
+
+export const STRATEGY_LABELS = {
+  gbest: 'Global-best PSO',
+  ring: 'Ring-topology PSO',
+  cluster: 'Fire-cluster assignment',
+  greedy: 'Greedy nearest fire'
+};
+
+export function create_strategy(name = 'gbest', options = {}) {
+  const Strategy = STRATEGIES[name];
+  if (!Strategy) throw new Error(`Unknown strategy: ${name}`);
+  return new Strategy(options);
+}
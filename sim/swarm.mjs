@@ -0,0 +1,661 @@
+import { DRONE_TYPES, expand_fleet, flight_cost, normalize_bases } from './drones.mjs';
+import { front_threat } from './forecast.mjs';
+import { RefillPlanner } from './logistics.mjs';
+import { BELIEF_STATES, BeliefMap } from './sensing.mjs';
+import { create_strategy } from './strategies.mjs';
+import { DEFAULT_UNITS, scale_drone_type } from './units.mjs';
+
+// With risk targeting, a burning cell's fitness improves by FRONT_WEIGHT per
+// unit of front_threat and any other cell's by RISK_WEIGHT times its ignition
+// probability, so burning cells still outrank the ground ahead of them.
+const FRONT_WEIGHT = 10;
+const RISK_WEIGHT = 8;
+// Drop targets around a drone, column by column as the original loops ran.
+const NEIGHBOURHOOD = [-1, 0, 1].flatMap(dx => [-1, 0, 1].map(dy => [dx, dy]));
+
+// Where drones take off (see DroneSwarm.launch_positions).
+export const LAUNCH_SITES = {
+  random: 'Scattered over the map (original)',
+  bases: 'From home bases',
+  edge: 'From the map edge nearest the fire',
+  water: 'From the water nearest the fire'
+};
+
+// Mean position of the burning cells, or the middle of the map when none are.
+function fire_centre(env) {
+  const fires = env.active_fires;
+  if (fires.length === 0) return [env.width / 2, env.height / 2];
+  let cx = 0, cy = 0;
+  for (const [x, y] of fires) {
+    cx += (x + 0.5) / fires.length;
+    cy += (y + 0.5) / fires.length;
+  }
+  return [cx, cy];
+}
+
+// Drone modes: 'active' drones follow the strategy and fight fire,
+// 'refilling' ones are away fetching water (see RefillPlanner), 'returning'
+// ones fly straight home, 'charging' ones sit at their base recharging and
+// reloading water, and 'down' ones ran flat away from base.
+export class DroneSwarm {
+  // fleet ([{ type, count }]) overrides num_drones; drones are assigned to
+  // bases round-robin and take off from `launch` (see LAUNCH_SITES); more can
+  // join later with add_drones. fitness_water_distance: false scores every
+  // burning cell alike instead of preferring fires near water. targeting is
+  // one of TARGETING_LABELS; 'risk' needs `risk` set to a forecast_spread map.
+  // units (resolved, see resolve_units) scale every drone type. sensing
+  // (resolved, see resolve_sensing) limits each drone to what its group has
+  // observed; null gives every drone the whole map.
+  constructor(
+    env,
+    num_drones = 20,
+    rng = env.rng,
+    strategy = 'gbest',
+    {
+      fleet = null,
+      bases = null,
+      launch = 'random',
+      refill_policy = 'least_congested',
+      fitness_water_distance = true,
+      targeting = 'fire',
+      units = DEFAULT_UNITS,
+      sensing = null
+    } = {}
+  ) {
+    this.env = env;
+    this.units = units;
+    this.sensing = sensing;
+    // Per drone: the BeliefMap it flies by (shared by its group), its group
+    // and the best personal best in it; group is null while all drones talk.
+    this.beliefs = sensing ? [] : null;
+    this.group = null;
+    this.group_best = null;
+    this.shared = null;
+    this.rng = rng;
+    this.fitness_water_distance = fitness_water_distance;
+    this.targeting = targeting;
+    this.risk = null;
+    this.set_strategy(strategy);
+    this.type_names = [];
+    this.types = [];
+    this.num_drones = 0;
+    this.set_bases(bases);
+    this.positions = [];
+    this.velocities = [];
+    this.pbest_positions = [];
+    this.pbest_values = [];
+    this.gbest_position = null;
+    this.gbest_value = Infinity;
+    this.water_left = [];
+    this.refill_timers = [];
+    // Seconds of hovering over fire not yet spent on putting a cell out.
+    this.drop_time = [];
+    this.battery = [];
+    this.mode = [];
+    this.distance_flown = [];
+    this.return_trips = 0;
+    this.ignitions_seen = env.ignition_count;
+    this.planner = new RefillPlanner(this, { policy: refill_policy });
+    this.omega = 0.7;
+    this.phi_p = 1.5;
+    this.phi_g = 1.5;
+    this.add_drones(expand_fleet(fleet, num_drones), launch);
+  }
+
+  // Launches drones of the given types (one name per drone) from `launch`,
+  // full and charged, as a later wave or reinforcements. Per-drone arrays
+  // are replaced rather than grown, so clones taken earlier keep their own.
+  add_drones(type_names, launch = 'random') {
+    if (!LAUNCH_SITES[launch]) throw new Error(`Unknown launch site: ${launch}`);
+    const unknown = type_names.find(name => !DRONE_TYPES[name]);
+    if (unknown) throw new Error(`Unknown drone type: ${unknown}`);
+    const first = this.num_drones;
+    const types = type_names.map(name => scale_drone_type(DRONE_TYPES[name], this.units));
+    this.type_names = [...this.type_names, ...type_names];
+    this.types = [...this.types, ...types];
+    this.num_drones += types.length;
+    this.home = Array.from({ length: this.num_drones }, (_, i) => i % this.bases.length);
+
+    const positions = this.launch_positions(first, types.length, launch);
+    const velocities = positions.map(() => [(this.rng.random() - 0.5) * 3, (this.rng.random() - 0.5) * 3]);
+    // Newcomers know nothing until they look around or meet the others.
+    if (this.beliefs) this.beliefs = [...this.beliefs, ...types.map(() => new BeliefMap(this.env.width, this.env.height))];
+    const values = positions.map((p, k) => this.fitness(p, first + k));
+    this.positions = [...this.positions, ...positions];
+    this.velocities = [...this.velocities, ...velocities];
+    this.pbest_positions = [...this.pbest_positions, ...positions.map(p => [...p])];
+    this.pbest_values = [...this.pbest_values, ...values];
+    values.forEach((value, k) => {
+      if (value < this.gbest_value) {
+        this.gbest_value = value;
+        this.gbest_position = [...positions[k]];
+      }
+    });
+    this.water_left = [...this.water_left, ...types.map(type => type.water_capacity)];
+    this.refill_timers = [...this.refill_timers, ...types.map(() => 0)];
+    this.drop_time = [...this.drop_time, ...types.map(() => 0)];
+    this.battery = [...this.battery, ...types.map(type => type.battery_capacity)];
+    this.mode = [...this.mode, ...types.map(() => 'active')];
+    this.distance_flown = [...this.distance_flown, ...types.map(() => 0)];
+    this.planner.add_drones(types.length);
+  }
+
+  // Take-off points for drones first .. first + count - 1. 'random' scatters
+  // them over the map as the original did (PSO needs that spread to find
+  // fires at all) and is the only site drawing from the RNG; 'bases' puts
+  // each at its home base; 'edge' spreads them evenly along the side of the
+  // map nearest the fire; 'water' puts them on the water cells nearest the
+  // fire, or at their bases on a map without water.
+  launch_positions(first, count, launch) {
+    const { width, height } = this.env;
+    const ids = Array.from({ length: count }, (_, k) => first + k);
+    if (launch === 'random') return ids.map(() => [this.rng.random() * (width - 1), this.rng.random() * (height - 1)]);
+    const [cx, cy] = fire_centre(this.env);
+    if (launch === 'edge') {
+      const sides = [cx, width - cx, cy, height - cy];
+      const side = sides.indexOf(Math.min(...sides));
+      return ids.map((_, k) => {
+        const t = (k + 0.5) / count;
+        if (side < 2) return [side === 0 ? 0 : width - 1, t * (height - 1)];
+        return [t * (width - 1), side === 2 ? 0 : height - 1];
+      });
+    }
+    const water = launch === 'water' ? this.env.water_bodies().flat() : [];
+    if (water.length === 0) return ids.map(i => this.home_position(i));
+    const by_distance = water
+      .map(([x, y]) => [x, y, Math.hypot(x + 0.5 - cx, y + 0.5 - cy)])
+      .sort((a, b) => a[2] - b[2]);
+    return ids.map((_, k) => this.cell_centre(...by_distance[k % by_distance.length]));
+  }
+
+  // An independent copy flying over `env` (a clone of this swarm's map) and
+  // drawing from `rng`. Strategies replace their cached state rather than
+  // mutating it, so a shallow copy of the strategy is enough.
+  clone(env, rng) {
+    const copy = Object.assign(Object.create(DroneSwarm.prototype), this);
+    copy.env = env;
+    copy.rng = rng;
+    copy.strategy = Object.assign(Object.create(Object.getPrototypeOf(this.strategy)), this.strategy);
+    copy.bases = this.bases.map(base => ({ ...base }));
+    copy.home = [...this.home];
+    copy.positions = this.positions.map(p => [...p]);
+    copy.velocities = this.velocities.map(v => [...v]);
+    copy.pbest_positions = this.pbest_positions.map(p => [...p]);
+    copy.pbest_values = [...this.pbest_values];
+    copy.gbest_position = this.gbest_position ? [...this.gbest_position] : null;
+    copy.water_left = [...this.water_left];
+    copy.refill_timers = [...this.refill_timers];
+    copy.drop_time = [...this.drop_time];
+    copy.battery = [...this.battery];
+    copy.mode = [...this.mode];
+    copy.distance_flown = [...this.distance_flown];
+    if (this.beliefs) {
+      // Drones sharing a map keep sharing one copy.
+      const copies = new Map();
+      copy.beliefs = this.beliefs.map(belief => {
+        if (!copies.has(belief)) copies.set(belief, belief.clone());
+        return copies.get(belief);
+      });
+      copy.group = this.group ? [...this.group] : null;
+      copy.group_best = this.group_best ? this.group_best.map(p => (p ? [...p] : null)) : null;
+      copy.shared = null;
+    }
+    copy.planner = this.planner.clone(copy);
+    return copy;
+  }
+
+  // How good a spot pos is for drone i (lower is better).
+  fitness(pos, i = 0) {
+    const [px, py] = pos;
+    const x = Math.floor(px), y = Math.floor(py);
+    if (x < 0 || x >= this.env.width || y < 0 || y >= this.env.height) return 1e6;
+    if (this.beliefs) return this.believed_fitness(this.beliefs[i], x, y);
+
+    const cell = this.env.grid[y][x];
+    const risk = this.targeting === 'risk' ? this.risk : null;
+    if (cell.fire) {
+      const value = this.fitness_water_distance ? -100 + this.env.nearest_water_distance(x, y) : -100;
+      return risk ? value - FRONT_WEIGHT * front_threat(risk, this.env.width, this.env.height, x, y) : value;
+    }
+    if (cell.burnt) return 1000;
+    if (cell.water) return -10;
+
+    const distance = this.env.active_fires.length > 0 ? this.env.nearest_fire_distance(x, y) : 100;
+    return risk ? distance - RISK_WEIGHT * risk[y * this.env.width + x] : distance;
+  }
+
+  // fitness() scored on a belief map instead of the true one. A fire counts
+  // for less the longer ago it was seen. The forecast is made from the true
+  // map, so risk targeting plays no part here.
+  believed_fitness(belief, x, y) {
+    const state = belief.state_at(x, y);
+    if (state === BELIEF_STATES.fire) {
+      const value = this.fitness_water_distance ? -100 + this.env.nearest_water_distance(x, y) : -100;
+      return value + belief.age(x, y);
+    }
+    if (state === BELIEF_STATES.burnt || state === BELIEF_STATES.extinguished) return 1000;
+    if (this.env.grid[y][x].water) return -10;
+    return belief.fires().length > 0 ? belief.nearest_fire_distance(x, y) : 100;
+  }
+
+  // Burning cells as drone i knows them, or as the whole swarm does when i
+  // is null; the true fires without sensing.
+  known_fires(i = null) {
+    if (!this.beliefs) return this.env.active_fires;
+    return (i === null ? this.shared_belief() : this.beliefs[i]).fires();
+  }
+
+  believes_fire(x, y, i = null) {
+    if (!this.beliefs) return this.env.grid[y][x].fire;
+    return (i === null ? this.shared_belief() : this.beliefs[i]).is_fire(x, y);
+  }
+
+  // What all the drones have seen between them, or null without sensing.
+  shared_belief() {
+    if (!this.beliefs) return null;
+    if (!this.shared) {
+      this.shared = this.beliefs.length > 0 ? BeliefMap.merge([...new Set(this.beliefs)]) : new BeliefMap(this.env.width, this.env.height);
+    }
+    return this.shared;
+  }
+
+  // The position drone i is pulled toward as its global best: the best any
+  // drone it can reach has found.
+  guide(i) {
+    return this.group_best ? this.group_best[i] : this.gbest_position;
+  }
+
+  connected(i, j) {
+    return !this.group || this.group[i] === this.group[j];
+  }
+
+  // Splits the drones into groups that can talk, directly within comm_range
+  // or by relay, merges each group's maps and finds its best. Drones that
+  // are down have no power to transmit and sit alone.
+  communicate() {
+    const n = this.num_drones;
+    const { comm_range } = this.sensing;
+    const parent = Array.from({ length: n }, (_, i) => i);
+    const root = i => (parent[i] === i ? i : (parent[i] = root(parent[i])));
+    if (comm_range === null) {
+      parent.fill(0);
+    } else {
+      for (let i = 0; i < n; i++) {
+        if (this.mode[i] === 'down') continue;
+        for (let j = i + 1; j < n; j++) {
+          if (this.mode[j] === 'down') continue;
+          const [xi, yi] = this.positions[i], [xj, yj] = this.positions[j];
+          if (Math.hypot(xi - xj, yi - yj) <= comm_range) parent[root(j)] = root(i);
+        }
+      }
+    }
+    this.group = Array.from({ length: n }, (_, i) => root(i));
+    const members = new Map();
+    this.group.forEach((g, i) => members.set(g, [...(members.get(g) || []), i]));
+    const users = new Map();
+    for (const belief of this.beliefs) users.set(belief, (users.get(belief) || 0) + 1);
+    this.group_best = Array(n).fill(null);
+    for (const ids of members.values()) {
+      // A map the group alone already shares is kept; any other is merged
+      // into a fresh one, so groups that drift apart stop sharing.
+      const maps = [...new Set(ids.map(i => this.beliefs[i]))];
+      const merged = maps.length === 1 && users.get(maps[0]) === ids.length ? maps[0] : BeliefMap.merge(maps);
+      let best = ids[0];
+      for (const i of ids) {
+        this.beliefs[i] = merged;
+        if (this.pbest_values[i] < this.pbest_values[best]) best = i;
+      }
+      for (const i of ids) this.group_best[i] = this.pbest_positions[best];
+    }
+    this.shared = null;
+  }
+
+  // Every drone with power looks around; fires nobody has seen for a while
+  // are forgotten. The bests were scored on the maps as they were, so they
+  // are scored again on what the drones now believe, and an active drone
+  // takes the best cell it can see as a personal best, so a fire it spots
+  // pulls the swarm in without a drone having to fly over it first.
+  sense(step) {
+    const { sensor_radius, forget_after } = this.sensing;
+    for (let i = 0; i < this.num_drones; i++) {
+      if (this.mode[i] !== 'down') this.beliefs[i].observe(this.env, this.positions[i], sensor_radius, step);
+    }
+    for (const belief of new Set(this.beliefs)) belief.forget(step, forget_after);
+    this.shared = null;
+    this.refresh_bests();
+    for (let i = 0; i < this.num_drones; i++) {
+      if (this.mode[i] !== 'active') continue;
+      const [pos, value] = this.best_in_sight(i);
+      if (value < this.pbest_values[i]) {
+        this.pbest_positions[i] = pos;
+        this.pbest_values[i] = value;
+        if (value < this.gbest_value) {
+          this.gbest_position = [...pos];
+          this.gbest_value = value;
+        }
+      }
+    }
+  }
+
+  // The centre of the best-scoring cell within sensor_radius of drone i, and its fitness.
+  best_in_sight(i) {
+    const { sensor_radius } = this.sensing;
+    const [px, py] = this.positions[i];
+    let best = null, best_value = Infinity;
+    for (let y = Math.max(0, Math.floor(py - sensor_radius)); y <= Math.min(this.env.height - 1, Math.floor(py + sensor_radius)); y++) {
+      for (let x = Math.max(0, Math.floor(px - sensor_radius)); x <= Math.min(this.env.width - 1, Math.floor(px + sensor_radius)); x++) {
+        if (Math.hypot(x + 0.5 - px, y + 0.5 - py) > sensor_radius) continue;
+        const value = this.fitness([x + 0.5, y + 0.5], i);
+        if (value < best_value) {
+          best = [x + 0.5, y + 0.5];
+          best_value = value;
+        }
+      }
+    }
+    return [best, best_value];
+  }
+
+  // Drones per communication group and what the swarm knows: fires it
+  // believes are burning and the share of the map it has seen. Null
+  // without sensing.
+  sensing_status() {
+    if (!this.beliefs) return null;
+    const shared = this.shared_belief();
+    return {
+      groups: this.group ? new Set(this.group).size : 1,
+      known_fires: shared.fires().length,
+      coverage: shared.coverage()
+    };
+  }
+
+  // The 3x3 cells around (x, y) in the order drone drops go to them: scan
+  // order, or with risk targeting the most threatening fire front first.
+  drop_order(x, y) {
+    const risk = this.targeting === 'risk' ? this.risk : null;
+    if (!risk) return NEIGHBOURHOOD;
+    const { width, height } = this.env;
+    const threat = ([dx, dy]) => front_threat(risk, width, height, x + dx, y + dy);
+    return [...NEIGHBOURHOOD].sort((a, b) => threat(b) - threat(a));
+  }
+
+  set_strategy(strategy) {
+    this.strategy = typeof strategy === 'string' ? create_strategy(strategy) : strategy;
+  }
+
+  // Drones are spread over the bases round-robin; calling this mid-run
+  // re-homes them, and any drone flying home heads for its new base.
+  set_bases(bases) {
+    this.bases = normalize_bases(bases, this.env);
+    this.home = Array.from({ length: this.num_drones }, (_, i) => i % this.bases.length);
+  }
+
+  // Centre of a cell, kept inside the area drones may occupy.
+  cell_centre(x, y) {
+    return [Math.min(this.env.width - 1, x + 0.5), Math.min(this.env.height - 1, y + 0.5)];
+  }
+
+  home_position(i) {
+    const { x, y } = this.bases[this.home[i]];
+    return this.cell_centre(x, y);
+  }
+
+  distance_home(i) {
+    const [hx, hy] = this.home_position(i);
+    return Math.hypot(hx - this.positions[i][0], hy - this.positions[i][1]);
+  }
+
+  // Clamps the change from the previous velocity to max_accel, then the
+  // speed to max_speed.
+  limit_velocity(i, previous) {
+    const { max_speed, max_accel } = this.types[i];
+    const vel = this.velocities[i];
+    let dx = vel[0] - previous[0], dy = vel[1] - previous[1];
+    const accel = Math.hypot(dx, dy);
+    if (accel > max_accel) {
+      dx *= max_accel / accel;
+      dy *= max_accel / accel;
+    }
+    vel[0] = previous[0] + dx;
+    vel[1] = previous[1] + dy;
+    const speed = Math.hypot(vel[0], vel[1]);
+    if (speed > max_speed) {
+      vel[0] *= max_speed / speed;
+      vel[1] *= max_speed / speed;
+    }
+  }
+
+  steer_to(i, [tx, ty]) {
+    const pos = this.positions[i];
+    const dx = tx - pos[0], dy = ty - pos[1];
+    const dist = Math.hypot(dx, dy);
+    const scale = dist > this.types[i].max_speed ? this.types[i].max_speed / dist : 1;
+    this.velocities[i] = [dx * scale, dy * scale];
+  }
+
+  steer_home(i) {
+    this.steer_to(i, this.home_position(i));
+  }
+
+  go_home(i) {
+    this.planner.release(i);
+    this.planner.dispatch[i] = null;
+    this.mode[i] = 'returning';
+    this.return_trips++;
+  }
+
+  // Sends an empty drone for water, or home to reload if the map has none.
+  start_refill(i) {
+    if (this.planner.begin(i)) this.mode[i] = 'refilling';
+    else this.go_home(i);
+  }
+
+  // Moves drone i by its velocity and pays for the flight. Returns false if
+  // the battery ran flat.
+  fly(i) {
+    const type = this.types[i];
+    const pos = this.positions[i];
+    const [x0, y0] = pos;
+    pos[0] = Math.max(0, Math.min(this.env.width - 1, pos[0] + this.velocities[i][0]));
+    pos[1] = Math.max(0, Math.min(this.env.height - 1, pos[1] + this.velocities[i][1]));
+    const distance = Math.hypot(pos[0] - x0, pos[1] - y0);
+    this.distance_flown[i] += distance;
+    const cost = distance * (type.drain_per_cell + type.drain_per_water * this.water_left[i]) + type.hover_drain;
+    this.battery[i] = Math.max(0, this.battery[i] - cost);
+    return this.battery[i] > 0;
+  }
+
+  dock(i) {
+    this.positions[i] = this.home_position(i);
+    this.velocities[i] = [0, 0];
+    this.mode[i] = 'charging';
+  }
+
+  charge(i) {
+    const type = this.types[i];
+    this.battery[i] = Math.min(type.battery_capacity, this.battery[i] + type.recharge_rate);
+    this.water_left[i] = type.water_capacity;
+    this.refill_timers[i] = 0;
+    if (this.battery[i] >= type.battery_capacity) this.mode[i] = 'active';
+  }
+
+  // Physics and battery for one step, after the strategy has proposed
+  // velocities: returning drones are steered home instead, every velocity is
+  // limited by the drone type, and active drones whose charge would not
+  // cover the trip home (plus reserve) turn back.
+  move(previous) {
+    for (let i = 0; i < this.num_drones; i++) {
+      const type = this.types[i];
+      if (this.mode[i] === 'charging') {
+        this.charge(i);
+        continue;
+      }
+      if (this.mode[i] === 'down') {
+        this.velocities[i] = [0, 0];
+        continue;
+      }
+      if (this.mode[i] === 'returning') {
+        this.steer_home(i);
+      } else {
+        const waypoint = this.planner.waypoint(i);
+        if (waypoint) this.steer_to(i, waypoint);
+        else if (this.mode[i] === 'refilling') this.velocities[i] = [0, 0];
+      }
+      this.limit_velocity(i, previous[i]);
+
+      if (!this.fly(i)) {
+        this.planner.release(i);
+        this.velocities[i] = [0, 0];
+        this.mode[i] = this.distance_home(i) < 0.5 ? 'charging' : 'down';
+        continue;
+      }
+
+      if (this.mode[i] === 'returning') {
+        if (this.distance_home(i) < 0.5) this.dock(i);
+      } else {
+        const needed = flight_cost(type, this.distance_home(i), this.water_left[i]);
+        if (this.battery[i] - needed <= type.reserve * type.battery_capacity) this.go_home(i);
+      }
+    }
+  }
+
+  // Re-evaluates every personal best against the current map (fires move, so
+  // old values go stale) and picks the global best afresh from them.
+  refresh_bests() {
+    this.pbest_values = this.pbest_positions.map((p, i) => this.fitness(p, i));
+    this.gbest_position = null;
+    this.gbest_value = Infinity;
+    this.pbest_values.forEach((value, i) => {
+      if (value < this.gbest_value) {
+        this.gbest_value = value;
+        this.gbest_position = [...this.pbest_positions[i]];
+      }
+    });
+  }
+
+  // Moves the personal bests of a random fraction of drones to random spots
+  // on the map, so PSO pulls those drones outward to explore again.
+  rescatter(fraction = 0.5, rng = this.rng) {
+    for (let i = 0; i < this.num_drones; i++) {
+      if (rng.random() >= fraction) continue;
+      this.pbest_positions[i] = [rng.random() * (this.env.width - 1), rng.random() * (this.env.height - 1)];
+    }
+    this.refresh_bests();
+  }
+
+  // Mean distance of drones from the swarm centroid as a fraction of the map
+  // diagonal: near 0 when they have bunched up, larger when spread out.
+  diversity() {
+    const n = this.num_drones;
+    if (n === 0) return 0;
+    let cx = 0, cy = 0;
+    for (const [x, y] of this.positions) {
+      cx += x / n;
+      cy += y / n;
+    }
+    let total = 0;
+    for (const [x, y] of this.positions) total += Math.hypot(x - cx, y - cy);
+    return total / n / Math.hypot(this.env.width, this.env.height);
+  }
+
+  // Mean water on board as a fraction of each drone's capacity.
+  average_water() {
+    if (this.num_drones === 0) return 0;
+    let total = 0;
+    for (let i = 0; i < this.num_drones; i++) total += this.water_left[i] / this.types[i].water_capacity;
+    return total / this.num_drones;
+  }
+
+  // Counts of drones per mode and the mean charge as a fraction.
+  fleet_status() {
+    const status = { active: 0, refilling: 0, returning: 0, charging: 0, down: 0, battery: 0 };
+    for (let i = 0; i < this.num_drones; i++) {
+      status[this.mode[i]]++;
+      status.battery += this.battery[i] / this.types[i].battery_capacity;
+    }
+    if (this.num_drones > 0) status.battery /= this.num_drones;
+    return status;
+  }
+
+  burning_near(x, y) {
+    for (const [dx, dy] of NEIGHBOURHOOD) {
+      const nx = x + dx, ny = y + dy;
+      if (nx >= 0 && nx < this.env.width && ny >= 0 && ny < this.env.height && this.env.grid[ny][nx].fire) return true;
+    }
+    return false;
+  }
+
+  step(iteration) {
+    const previous = this.velocities.map(v => [...v]);
+    if (this.planner.enabled) this.planner.sync();
+    if (this.beliefs) this.communicate();
+    this.strategy.update_velocities(this, iteration);
+    this.move(previous);
+    if (this.beliefs) this.sense(iteration);
+
+    for (let i = 0; i < this.num_drones; i++) {
+      if (this.mode[i] !== 'active') continue;
+      const fitness = this.fitness(this.positions[i], i);
+      if (fitness < this.pbest_values[i]) {
+        this.pbest_positions[i] = [...this.positions[i]];
+        this.pbest_values[i] = fitness;
+        if (fitness < this.gbest_value) {
+          this.gbest_position = [...this.positions[i]];
+          this.gbest_value = fitness;
+        }
+      }
+    }
+
+    let extinguished_count = 0;
+    for (let i = 0; i < this.num_drones; i++) {
+      if (this.mode[i] === 'refilling') {
+        if (this.planner.station_of[i] < 0 && !this.planner.plan(i)) this.go_home(i);
+        else if (this.planner.update(i)) this.mode[i] = 'active';
+        continue;
+      }
+      if (this.mode[i] !== 'active') continue;
+      const type = this.types[i];
+      const [px, py] = this.positions[i];
+      const x = Math.floor(px), y = Math.floor(py);
+
+      if (x < 0 || x >= this.env.width || y < 0 || y >= this.env.height) continue;
+
+      const cell = this.env.grid[y][x];
+
+      if (this.water_left[i] === 0) {
+        if (this.planner.enabled) {
+          this.start_refill(i);
+        } else if (cell.water) {
+          this.refill_timers[i]++;
+          if (this.refill_timers[i] >= type.refill_time) {
+            this.water_left[i] = type.water_capacity;
+            this.refill_timers[i] = 0;
+          }
+        }
+        continue;
+      }
+
+      // Each cell takes extinguish_seconds of hovering within reach. Time
+      // carries over to the next step only while a slow drop is under way.
+      if (!this.burning_near(x, y)) {
+        this.drop_time[i] = 0;
+        continue;
+      }
+      const { step_seconds } = this.units;
+      const drop = type.extinguish_seconds;
+      this.drop_time[i] = Math.min(this.drop_time[i], Math.max(0, drop - step_seconds)) + step_seconds;
+      for (const [dx, dy] of this.drop_order(x, y)) {
+        if (this.drop_time[i] < drop - 1e-9 || this.water_left[i] <= 0) break;
+        if (this.env.extinguish_fire_at(x + dx, y + dy)) {
+          extinguished_count++;
+          this.drop_time[i] -= drop;
+          this.water_left[i]--;
+        }
+      }
+    }
+
+    // Reward: fires put out this step minus fires started since the last one.
+    const reward = extinguished_count - (this.env.ignition_count - this.ignitions_seen);
+    this.ignitions_seen = this.env.ignition_count;
+    return [extinguished_count, this.omega, this.phi_p, this.phi_g, this.diversity(), reward];
+  }
+}
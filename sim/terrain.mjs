@@ -0,0 +1,234 @@
+export const DEFAULT_TERRAIN = {
+  scale: 16,
+  octaves: 4,
+  roughness: 0.5,
+  ridges: 0.3,
+  relief: 100,
+  lake_depth: 2,
+  min_lake_size: 4,
+  river_threshold: 0.03
+};
+
+const NEIGHBOURS = [[1, 0], [-1, 0], [0, 1], [0, -1], [1, 1], [1, -1], [-1, 1], [-1, -1]];
+
+class MinHeap {
+  constructor() {
+    this.keys = [];
+    this.values = [];
+  }
+
+  get size() {
+    return this.keys.length;
+  }
+
+  push(key, value) {
+    const { keys, values } = this;
+    let i = keys.length;
+    keys.push(key);
+    values.push(value);
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (keys[parent] <= keys[i]) break;
+      [keys[parent], keys[i]] = [keys[i], keys[parent]];
+      [values[parent], values[i]] = [values[i], values[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const { keys, values } = this;
+    const top = values[0];
+    const last_key = keys.pop();
+    const last_value = values.pop();
+    if (keys.length > 0) {
+      keys[0] = last_key;
+      values[0] = last_value;
+      let i = 0;
+      for (;;) {
+        const l = 2 * i + 1, r = l + 1;
+        let m = i;
+        if (l < keys.length && keys[l] < keys[m]) m = l;
+        if (r < keys.length && keys[r] < keys[m]) m = r;
+        if (m === i) break;
+        [keys[m], keys[i]] = [keys[i], keys[m]];
+        [values[m], values[i]] = [values[i], values[m]];
+        i = m;
+      }
+    }
+    return top;
+  }
+}
+
+function smooth(t) {
+  return t * t * (3 - 2 * t);
+}
+
+// One octave of value noise: random values on a lattice `spacing` cells
+// apart, smoothly interpolated.
+function value_noise(width, height, spacing, rng) {
+  const lw = Math.ceil(width / spacing) + 2;
+  const lh = Math.ceil(height / spacing) + 2;
+  const lattice = new Float64Array(lw * lh);
+  for (let i = 0; i < lattice.length; i++) lattice[i] = rng.random();
+
+  const out = new Float64Array(width * height);
+  for (let y = 0; y < height; y++) {
+    const gy = y / spacing, y0 = Math.floor(gy), ty = smooth(gy - y0);
+    for (let x = 0; x < width; x++) {
+      const gx = x / spacing, x0 = Math.floor(gx), tx = smooth(gx - x0);
+      const a = lattice[y0 * lw + x0], b = lattice[y0 * lw + x0 + 1];
+      const c = lattice[(y0 + 1) * lw + x0], d = lattice[(y0 + 1) * lw + x0 + 1];
+      out[y * width + x] = (a + (b - a) * tx) * (1 - ty) + (c + (d - c) * tx) * ty;
+    }
+  }
+  return out;
+}
+
+// Fractal noise heights in [0, relief]. roughness is the amplitude kept per
+// octave (higher = more small-scale detail); ridges blends in ridged noise
+// for sharp crests and V-shaped valleys.
+export function generate_heights(width, height, rng, options = {}) {
+  const { scale, octaves, roughness, ridges, relief } = { ...DEFAULT_TERRAIN, ...options };
+  const heights = new Float64Array(width * height);
+  let amplitude = 1;
+  let spacing = Math.max(1, scale);
+  for (let o = 0; o < octaves; o++) {
+    const layer = value_noise(width, height, spacing, rng);
+    for (let i = 0; i < heights.length; i++) {
+      const n = layer[i];
+      const ridged = 1 - Math.abs(2 * n - 1);
+      heights[i] += amplitude * ((1 - ridges) * n + ridges * ridged);
+    }
+    amplitude *= roughness;
+    spacing = Math.max(1, spacing / 2);
+  }
+
+  let min = Infinity, max = -Infinity;
+  for (const h of heights) {
+    if (h < min) min = h;
+    if (h > max) max = h;
+  }
+  const range = max > min ? max - min : 1;
+  for (let i = 0; i < heights.length; i++) heights[i] = ((heights[i] - min) / range) * relief;
+  return heights;
+}
+
+// Priority-flood depression filling (Barnes et al.): the surface water would
+// settle on, draining off the map edge. A tiny epsilon keeps flats draining
+// so every cell has a downhill path.
+export function fill_depressions(heights, width, height, epsilon = 1e-4) {
+  const filled = Float64Array.from(heights);
+  const closed = new Uint8Array(width * height);
+  const heap = new MinHeap();
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (x === 0 || y === 0 || x === width - 1 || y === height - 1) {
+        const i = y * width + x;
+        closed[i] = 1;
+        heap.push(filled[i], i);
+      }
+    }
+  }
+  while (heap.size > 0) {
+    const i = heap.pop();
+    const x = i % width, y = (i - x) / width;
+    for (const [dx, dy] of NEIGHBOURS) {
+      const nx = x + dx, ny = y + dy;
+      if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+      const n = ny * width + nx;
+      if (closed[n]) continue;
+      closed[n] = 1;
+      filled[n] = Math.max(filled[n], filled[i] + epsilon);
+      heap.push(filled[n], n);
+    }
+  }
+  return filled;
+}
+
+// D8 flow accumulation over a filled surface: how many cells drain through
+// each cell on the way downhill to the map edge.
+export function flow_accumulation(filled, width, height) {
+  const order = Array.from(filled.keys()).sort((a, b) => filled[b] - filled[a]);
+  const accumulation = new Float64Array(width * height).fill(1);
+  for (const i of order) {
+    const x = i % width, y = (i - x) / width;
+    let target = -1, steepest = 0;
+    for (const [dx, dy] of NEIGHBOURS) {
+      const nx = x + dx, ny = y + dy;
+      if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+      const n = ny * width + nx;
+      const drop = (filled[i] - filled[n]) / Math.hypot(dx, dy);
+      if (drop > steepest) {
+        steepest = drop;
+        target = n;
+      }
+    }
+    if (target >= 0) accumulation[target] += accumulation[i];
+  }
+  return accumulation;
+}
+
+function connected_regions(mask, width, height) {
+  const label = new Int32Array(width * height).fill(-1);
+  const regions = [];
+  for (let start = 0; start < mask.length; start++) {
+    if (!mask[start] || label[start] >= 0) continue;
+    const region = [start];
+    label[start] = regions.length;
+    for (let k = 0; k < region.length; k++) {
+      const i = region[k];
+      const x = i % width, y = (i - x) / width;
+      for (const [dx, dy] of NEIGHBOURS.slice(0, 4)) {
+        const nx = x + dx, ny = y + dy;
+        if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+        const n = ny * width + nx;
+        if (mask[n] && label[n] < 0) {
+          label[n] = regions.length;
+          region.push(n);
+        }
+      }
+    }
+    regions.push(region);
+  }
+  return regions;
+}
+
+// Water where it would collect on a height surface (flat array, row-major):
+// lakes fill basins at least lake_depth deep and min_lake_size cells big,
+// rivers follow cells whose upstream area exceeds river_threshold of the map.
+export function find_water(heights, width, height, options = {}) {
+  const settings = { ...DEFAULT_TERRAIN, ...options };
+  const filled = fill_depressions(heights, width, height);
+
+  const water = new Uint8Array(width * height);
+  const basin = new Uint8Array(width * height);
+  for (let i = 0; i < heights.length; i++) {
+    if (filled[i] - heights[i] >= settings.lake_depth) basin[i] = 1;
+  }
+  for (const region of connected_regions(basin, width, height)) {
+    if (region.length >= settings.min_lake_size) for (const i of region) water[i] = 1;
+  }
+
+  if (settings.river_threshold > 0) {
+    const accumulation = flow_accumulation(filled, width, height);
+    const threshold = Math.max(8, settings.river_threshold * width * height);
+    for (let i = 0; i < accumulation.length; i++) {
+      if (accumulation[i] >= threshold) water[i] = 1;
+    }
+  }
+  return water;
+}
+
+export function to_rows(values, width, height, map = v => v) {
+  const rows = [];
+  for (let y = 0; y < height; y++) rows.push(Array.from(values.subarray(y * width, (y + 1) * width), map));
+  return rows;
+}
+
+// Coherent terrain with hydrologically placed water. Returns elevation rows
+// and a matching boolean water mask.
+export function generate_terrain(width, height, rng, options = {}) {
+  const heights = generate_heights(width, height, rng, options);
+  const water = find_water(heights, width, height, options);
+  return { elevation: to_rows(heights, width, height), water: to_rows(water, width, height, Boolean) };
+}
@@ -0,0 +1,105 @@
+// Keyframes of a run for scrubbing back to any earlier step. `run` is what
+// the caller steps (a Simulation or a Comparison) and `sims` the simulations
+// inside it. A snapshot of every sim is kept each `interval` steps and
+// whenever the run was changed from outside between steps (parameters, wind,
+// map edits); a step in between is rebuilt by restoring the keyframe before
+// it and stepping forward, which replays it exactly.
+//
+// Snapshots hold every cell, so they are capped at max_cells cells in all:
+// past that, every other interval keyframe is dropped and the interval
+// doubles, which keeps the whole run reachable at the cost of longer
+// re-simulation. Keyframes of changes cannot be rebuilt that way; when only
+// those are left over the cap, the oldest go and the run can no longer be
+// scrubbed back before `earliest`.
+export class Timeline {
+  constructor(run, sims = [run], { interval = 10, max_cells = 2_000_000 } = {}) {
+    this.run = run;
+    this.sims = sims;
+    this.interval = interval;
+    this.max_cells = max_cells;
+    this.keyframe_cells = sims.reduce((sum, sim) => sum + sim.env.width * sim.env.height, 0);
+    this.keyframes = [];
+    this.latest = run.step_count;
+    this.last_signature = this.signature();
+    this.keyframe(true);
+  }
+
+  // The inputs the caller may change between steps, besides map edits.
+  signature() {
+    return JSON.stringify(this.sims.map(sim => [
+      sim.omega,
+      sim.phi_p,
+      sim.phi_g,
+      sim.strategy,
+      sim.targeting,
+      sim.adaptive,
+      sim.env.wind.base_direction,
+      sim.env.wind.base_speed
+    ]));
+  }
+
+  // The first step scrubbing can reach.
+  get earliest() {
+    return this.keyframes[0].step;
+  }
+
+  // change: stepping on from an earlier keyframe would not rebuild this one,
+  // as for the first keyframe and whenever the run was altered from outside.
+  keyframe(change = false) {
+    const step = this.run.step_count;
+    while (this.keyframes.length > 0 && this.keyframes[this.keyframes.length - 1].step >= step) this.keyframes.pop();
+    this.keyframes.push({ step, change, snapshots: this.sims.map(sim => sim.snapshot()) });
+    this.thin();
+  }
+
+  thin() {
+    while (this.keyframes.length > 1 && this.keyframes.length * this.keyframe_cells > this.max_cells) {
+      const spacing = this.interval * 2;
+      const kept = this.keyframes.filter(k => k.change || k.step % spacing === 0);
+      if (kept.length < this.keyframes.length) {
+        this.keyframes = kept;
+        this.interval = spacing;
+      } else {
+        this.keyframes.shift();
+      }
+    }
+  }
+
+  // Stepping on from a rewound position replaces the old future.
+  truncate() {
+    const step = this.run.step_count;
+    while (this.keyframes.length > 0 && this.keyframes[this.keyframes.length - 1].step > step) this.keyframes.pop();
+    this.latest = step;
+  }
+
+  // Call after editing the map or dispatching drones, so the change is part
+  // of what scrubbing restores.
+  record_change() {
+    this.truncate();
+    this.keyframe(true);
+    this.last_signature = this.signature();
+  }
+
+  // Steps the run once, keyframing around it as needed.
+  step() {
+    if (this.run.step_count < this.latest) this.truncate();
+    const signature = this.signature();
+    if (signature !== this.last_signature) this.keyframe(true);
+    this.run.step();
+    this.latest = this.run.step_count;
+    this.last_signature = this.signature();
+    if (this.run.step_count % this.interval === 0) this.keyframe();
+  }
+
+  seek(step) {
+    const target = Math.max(this.earliest, Math.min(this.latest, step));
+    let keyframe = this.keyframes[0];
+    for (const k of this.keyframes) {
+      if (k.step > target) break;
+      keyframe = k;
+    }
+    keyframe.snapshots.forEach((snapshot, i) => this.sims[i].restore(snapshot));
+    while (this.run.step_count < target) this.run.step();
+    this.last_signature = this.signature();
+  }
+}
@@ -0,0 +1,58 @@
+// Real-world scale of a run. The simulation itself counts cells and steps;
+// DRONE_TYPES are written for DEFAULT_UNITS and scale_drone_type converts
+// them for any other units. Fire models are calibrated per step, so
+// step_seconds is how much time one step of fire spread stands for.
+//
+//   cell_size            metres along one side of a cell
+//   step_seconds         seconds per step
+//   drone_speed          top speed of a standard drone in m/s; the other
+//                        types keep their speed relative to it
+//   extinguish_seconds   time a standard drone takes to put out one cell
+//   refill_seconds       time a standard drone takes to fill up with water
+export const DEFAULT_UNITS = {
+  cell_size: 10,
+  step_seconds: 3,
+  drone_speed: 10,
+  extinguish_seconds: 1,
+  refill_seconds: 90
+};
+
+export function resolve_units(units = {}) {
+  const resolved = { ...DEFAULT_UNITS, ...units };
+  for (const key of Object.keys(DEFAULT_UNITS)) {
+    if (!(typeof resolved[key] === 'number' && resolved[key] > 0 && Number.isFinite(resolved[key]))) {
+      throw new Error(`Invalid units: ${key} must be a positive number`);
+    }
+  }
+  return resolved;
+}
+
+// A drone type in grid units for a run at `units`. Speeds follow drone_speed,
+// the step and the cell size; acceleration keeps the time to reach top speed
+// in seconds; flight drain is per metre and hover drain and recharge per
+// second. extinguish_seconds (per cell) replaces drops_per_step.
+export function scale_drone_type(type, units) {
+  const base = DEFAULT_UNITS;
+  const step = units.step_seconds / base.step_seconds;
+  const cell = units.cell_size / base.cell_size;
+  const speed = ((units.drone_speed / base.drone_speed) * step) / cell;
+  return {
+    ...type,
+    max_speed: type.max_speed * speed,
+    max_accel: type.max_accel * speed * step,
+    drain_per_cell: type.drain_per_cell * cell,
+    drain_per_water: type.drain_per_water * cell,
+    hover_drain: type.hover_drain * step,
+    recharge_rate: type.recharge_rate * step,
+    refill_time: Math.max(1, Math.round((type.refill_time * (units.refill_seconds / base.refill_seconds)) / step)),
+    extinguish_seconds: (base.step_seconds / type.drops_per_step) * (units.extinguish_seconds / base.extinguish_seconds)
+  };
+}
+
+export function cells_to_hectares(cells, units) {
+  return (cells * units.cell_size * units.cell_size) / 10000;
+}
+
+export function steps_to_minutes(steps, units) {
+  return (steps * units.step_seconds) / 60;
+}
@@ -0,0 +1,37 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { Environment, FIRE_PRESETS, SeededRng } from '../sim/index.mjs';
+
+// Tree and burnt counts every 40 steps, from the fire code as it was before
+// the fire models were added (only the RNG was seeded then).
+const ORIGINAL_COUNTS = {
+  7: [[770, 0], [770, 0], [770, 0]],
+  42: [[763, 0], [763, 0], [763, 0]]
+};
+
+function burn(seed, preset) {
+  const { fire_model, wind } = FIRE_PRESETS[preset];
+  const env = new Environment(40, 20, new SeededRng(seed), { fire_model, wind });
+  env.add_water_blobs(3);
+  env.ignite(20, 10);
+  env.ignite(15, 8);
+  const counts = [];
+  for (let step = 0; step < 120; step++) {
+    env.spread_fire();
+    if (step % 40 === 39) counts.push(env.count_trees());
+  }
+  return { env, counts };
+}
+
+test('the simple preset reproduces the original tree and burnt counts', () => {
+  for (const [seed, expected] of Object.entries(ORIGINAL_COUNTS)) {
+    assert.deepEqual(burn(Number(seed), 'simple').counts, expected, `seed ${seed}`);
+  }
+});
+
+test('the realistic model clears the tree of a cell that burns out', () => {
+  const { env } = burn(7, 'realistic');
+  const burnt = env.grid.flat().filter(cell => cell.burnt && !cell.extinguished_by_drone);
+  assert.ok(burnt.length > 0);
+  assert.ok(burnt.every(cell => !cell.tree));
+});
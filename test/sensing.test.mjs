@@ -0,0 +1,19 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { Simulation } from '../sim/index.mjs';
+
+test('global-best PSO with sensing contains a small fire', () => {
+  for (const comm_range of [10, null]) {
+    const sim = new Simulation({ seed: 3, strategy: 'gbest', initial_fires: 1, reignite_chance: 0, sensing: { sensor_radius: 3, comm_range } });
+    sim.run(200);
+    assert.notEqual(sim.contained_at, null, `comm_range ${comm_range}`);
+  }
+});
+
+test('global-best PSO with sensing contains the default fire', () => {
+  for (const comm_range of [10, null]) {
+    const sim = new Simulation({ seed: 3, strategy: 'gbest', sensing: { sensor_radius: 3, comm_range } });
+    sim.run(600);
+    assert.notEqual(sim.contained_at, null, `comm_range ${comm_range}`);
+  }
+});
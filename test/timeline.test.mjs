@@ -0,0 +1,44 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { Simulation, Timeline } from '../sim/index.mjs';
+
+function fingerprint(sim) {
+  const cells = sim.env.grid.flat().map(cell => (cell.fire ? 'F' : cell.burnt ? 'B' : cell.tree ? 'T' : '.')).join('');
+  return JSON.stringify([sim.step_count, cells, sim.total_extinguished, sim.swarm ? sim.swarm.positions : null]);
+}
+
+test('keyframes stay under max_cells and every step still replays exactly', () => {
+  const sim = new Simulation({ seed: 4 });
+  // Room for ten keyframes of the 40x20 map.
+  const timeline = new Timeline(sim, [sim], { max_cells: 8000 });
+  const expected = [fingerprint(sim)];
+  for (let step = 1; step <= 150; step++) {
+    if (step === 35) {
+      sim.env.ignite(5, 5);
+      timeline.record_change();
+      expected[step - 1] = fingerprint(sim);
+    }
+    timeline.step();
+    expected.push(fingerprint(sim));
+    assert.ok(timeline.keyframes.length <= 10, `${timeline.keyframes.length} keyframes at step ${step}`);
+  }
+  assert.ok(timeline.interval > 10);
+  assert.equal(timeline.earliest, 0);
+  for (const step of [0, 7, 34, 35, 36, 80, 149, 150]) {
+    timeline.seek(step);
+    assert.equal(fingerprint(sim), expected[step], `step ${step}`);
+  }
+});
+
+test('when only changes are left over the cap the oldest are dropped', () => {
+  const sim = new Simulation({ seed: 4 });
+  const timeline = new Timeline(sim, [sim], { max_cells: 2400 });
+  for (let step = 0; step < 6; step++) {
+    sim.set_parameters({ omega: 0.5 + step * 0.05 });
+    timeline.step();
+  }
+  assert.equal(timeline.keyframes.length, 3);
+  assert.equal(timeline.earliest, 3);
+  timeline.seek(0);
+  assert.equal(sim.step_count, 3);
+});